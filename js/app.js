@@ -4,7 +4,21 @@ class CarAudioEQApp {
         this.audioProcessor = null;
         this.spectrumAnalyzer = null;
         this.calibration = null;
+        this.playlist = new Playlist();
         this.isPlaying = false;
+        this.editChannel = 'left'; // channel shown in the EQ while L/R are unlinked
+        this.saveTimer = null;
+        
+        // Two audio elements ("decks") so the next track can be buffered
+        // for gapless playback or faded in over the current one
+        this.decks = [];
+        this.currentAudio = null;
+        this.preloadedTrack = null;
+        this.crossfading = false;
+        this.gaplessTimer = null;
+        this.gaplessHandover = false; // previous deck still playing out its last moments
+        this.gaplessLead = 0.05; // seconds the next deck starts early to cover play() start-up
+        this.rendering = null; // { cancelled } while tracks are rendered offline
         
         this.initializeApp();
     }
@@ -19,7 +33,7 @@ class CarAudioEQApp {
         // Initialize components
         this.setupDOM();
         this.setupEventListeners();
-        this.initializeAudioComponents();
+        await this.initializeAudioComponents();
         this.loadSettings();
         this.setupPWA();
     }
@@ -28,39 +42,190 @@ class CarAudioEQApp {
         // Cache DOM elements
         this.elements = {
             fileInput: document.getElementById('fileInput'),
+            folderInput: document.getElementById('folderInput'),
             chooseFileBtn: document.getElementById('chooseFileBtn'),
+            chooseFolderBtn: document.getElementById('chooseFolderBtn'),
             playPauseBtn: document.getElementById('playPauseBtn'),
+            prevBtn: document.getElementById('prevBtn'),
+            nextBtn: document.getElementById('nextBtn'),
             playIcon: document.getElementById('playIcon'),
             pauseIcon: document.getElementById('pauseIcon'),
             audioElement: document.getElementById('audioElement'),
+            audioElementB: document.getElementById('audioElementB'),
             progressBar: document.getElementById('progressBar'),
             currentTime: document.getElementById('currentTime'),
             duration: document.getElementById('duration'),
             trackTitle: document.getElementById('trackTitle'),
             trackArtist: document.getElementById('trackArtist'),
             albumArt: document.getElementById('albumArt'),
+            shuffleBtn: document.getElementById('shuffleBtn'),
+            repeatBtn: document.getElementById('repeatBtn'),
+            queueCount: document.getElementById('queueCount'),
+            renderTrackBtn: document.getElementById('renderTrackBtn'),
+            renderQueueBtn: document.getElementById('renderQueueBtn'),
+            renderStatus: document.getElementById('renderStatus'),
+            renderProgress: document.getElementById('renderProgress'),
+            renderText: document.getElementById('renderText'),
+            cancelRenderBtn: document.getElementById('cancelRenderBtn'),
+            renderFormat: document.getElementById('renderFormat'),
+            queueList: document.getElementById('queueList'),
+            eqTitle: document.getElementById('eqTitle'),
             eqBands: document.getElementById('eqBands'),
+            eqResponseCanvas: document.getElementById('eqResponseCanvas'),
+            eqShowTarget: document.getElementById('eqShowTarget'),
+            eqShowMeasurement: document.getElementById('eqShowMeasurement'),
+            parametricBands: document.getElementById('parametricBands'),
             presetSelect: document.getElementById('presetSelect'),
+            builtinPresets: document.getElementById('builtinPresets'),
+            userPresets: document.getElementById('userPresets'),
+            savePresetBtn: document.getElementById('savePresetBtn'),
+            overwritePresetBtn: document.getElementById('overwritePresetBtn'),
+            renamePresetBtn: document.getElementById('renamePresetBtn'),
+            duplicatePresetBtn: document.getElementById('duplicatePresetBtn'),
+            deletePresetBtn: document.getElementById('deletePresetBtn'),
+            exportApoBtn: document.getElementById('exportApoBtn'),
+            exportAutoEqBtn: document.getElementById('exportAutoEqBtn'),
+            exportGraphicEqBtn: document.getElementById('exportGraphicEqBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            eqFileInput: document.getElementById('eqFileInput'),
+            importEqBtn: document.getElementById('importEqBtn'),
+            preamp: document.getElementById('preamp'),
+            preampValue: document.getElementById('preampValue'),
             resetEqBtn: document.getElementById('resetEqBtn'),
+            storeABtn: document.getElementById('storeABtn'),
+            storeBBtn: document.getElementById('storeBBtn'),
+            slotABtn: document.getElementById('slotABtn'),
+            slotBBtn: document.getElementById('slotBBtn'),
+            bypassBtn: document.getElementById('bypassBtn'),
+            levelMatchEnabled: document.getElementById('levelMatchEnabled'),
+            levelMatchValue: document.getElementById('levelMatchValue'),
+            channelLink: document.getElementById('channelLink'),
+            editLeftBtn: document.getElementById('editLeftBtn'),
+            editRightBtn: document.getElementById('editRightBtn'),
+            leftDistance: document.getElementById('leftDistance'),
+            rightDistance: document.getElementById('rightDistance'),
+            leftDelay: document.getElementById('leftDelay'),
+            rightDelay: document.getElementById('rightDelay'),
+            calcDelaysBtn: document.getElementById('calcDelaysBtn'),
+            measureDelaysBtn: document.getElementById('measureDelaysBtn'),
+            alignmentPreset: document.getElementById('alignmentPreset'),
+            saveAlignmentBtn: document.getElementById('saveAlignmentBtn'),
+            deleteAlignmentBtn: document.getElementById('deleteAlignmentBtn'),
+            highPassEnabled: document.getElementById('highPassEnabled'),
+            highPassFreq: document.getElementById('highPassFreq'),
+            highPassAlignment: document.getElementById('highPassAlignment'),
+            highPassSlope: document.getElementById('highPassSlope'),
+            subEnabled: document.getElementById('subEnabled'),
+            subFreq: document.getElementById('subFreq'),
+            subAlignment: document.getElementById('subAlignment'),
+            subSlope: document.getElementById('subSlope'),
+            subLevel: document.getElementById('subLevel'),
+            subLevelValue: document.getElementById('subLevelValue'),
+            subInverted: document.getElementById('subInverted'),
+            subsonicEnabled: document.getElementById('subsonicEnabled'),
+            subsonicFreq: document.getElementById('subsonicFreq'),
+            subOutputInfo: document.getElementById('subOutputInfo'),
             calibrateBtn: document.getElementById('calibrateBtn'),
             advancedCalBtn: document.getElementById('advancedCalBtn'),
             advancedOptions: document.getElementById('advancedOptions'),
             calibrationStatus: document.getElementById('calibrationStatus'),
+            measurementExport: document.getElementById('measurementExport'),
+            exportIrBtn: document.getElementById('exportIrBtn'),
+            exportFrdBtn: document.getElementById('exportFrdBtn'),
+            exportRewBtn: document.getElementById('exportRewBtn'),
+            measurementFileInput: document.getElementById('measurementFileInput'),
+            importMeasurementBtn: document.getElementById('importMeasurementBtn'),
+            measurementPreviewModal: document.getElementById('measurementPreviewModal'),
+            previewInfo: document.getElementById('previewInfo'),
+            previewCanvas: document.getElementById('previewCanvas'),
+            previewSummary: document.getElementById('previewSummary'),
+            previewChannel: document.getElementById('previewChannel'),
+            applyPreviewBtn: document.getElementById('applyPreviewBtn'),
+            closePreviewBtn: document.getElementById('closePreviewBtn'),
             settingsBtn: document.getElementById('settingsBtn'),
             settingsModal: document.getElementById('settingsModal'),
             closeSettingsBtn: document.getElementById('closeSettingsBtn'),
             spectrumCanvas: document.getElementById('spectrumCanvas'),
             analyzerModeBtn: document.getElementById('analyzerModeBtn'),
             rtaModeBtn: document.getElementById('rta-mode'),
+            spectrumSmoothing: document.getElementById('spectrumSmoothing'),
+            spectrumMinDb: document.getElementById('spectrumMinDb'),
+            spectrumMaxDb: document.getElementById('spectrumMaxDb'),
+            spectrogramModeBtn: document.getElementById('spectrogramModeBtn'),
+            waterfallModeBtn: document.getElementById('waterfallModeBtn'),
+            spectrogramHistory: document.getElementById('spectrogramHistory'),
+            spectrogramColors: document.getElementById('spectrogramColors'),
+            measureMethod: document.getElementById('measureMethod'),
+            perChannelCal: document.getElementById('perChannelCal'),
+            iterativeCal: document.getElementById('iterativeCal'),
+            calTolerance: document.getElementById('calTolerance'),
+            calMaxPasses: document.getElementById('calMaxPasses'),
+            calRangeMin: document.getElementById('calRangeMin'),
+            calRangeMax: document.getElementById('calRangeMax'),
+            iterationReport: document.getElementById('iterationReport'),
             measureTime: document.getElementById('measureTime'),
             measureTimeValue: document.getElementById('measureTimeValue'),
             targetCurve: document.getElementById('targetCurve'),
+            editTargetsBtn: document.getElementById('editTargetsBtn'),
+            targetEditorModal: document.getElementById('targetEditorModal'),
+            targetEditorSelect: document.getElementById('targetEditorSelect'),
+            targetName: document.getElementById('targetName'),
+            targetCanvas: document.getElementById('targetCanvas'),
+            bassShelfGain: document.getElementById('bassShelfGain'),
+            bassShelfFreq: document.getElementById('bassShelfFreq'),
+            trebleTiltSlope: document.getElementById('trebleTiltSlope'),
+            trebleTiltFreq: document.getElementById('trebleTiltFreq'),
+            targetFileInput: document.getElementById('targetFileInput'),
+            importTargetBtn: document.getElementById('importTargetBtn'),
+            exportTargetBtn: document.getElementById('exportTargetBtn'),
+            deleteTargetBtn: document.getElementById('deleteTargetBtn'),
+            saveTargetBtn: document.getElementById('saveTargetBtn'),
+            closeTargetEditorBtn: document.getElementById('closeTargetEditorBtn'),
             smoothing: document.getElementById('smoothing'),
+            correctionSolver: document.getElementById('correctionSolver'),
+            maxBoost: document.getElementById('maxBoost'),
+            maxCut: document.getElementById('maxCut'),
+            correctionStrength: document.getElementById('correctionStrength'),
+            correctRangeMin: document.getElementById('correctRangeMin'),
+            correctRangeMax: document.getElementById('correctRangeMax'),
+            peaksOnly: document.getElementById('peaksOnly'),
+            transitionFreq: document.getElementById('transitionFreq'),
+            normalization: document.getElementById('normalization'),
+            referenceBandMin: document.getElementById('referenceBandMin'),
+            referenceBandMax: document.getElementById('referenceBandMax'),
+            correctionType: document.getElementById('correctionType'),
+            peqFilterCount: document.getElementById('peqFilterCount'),
+            peqMinQ: document.getElementById('peqMinQ'),
+            peqMaxQ: document.getElementById('peqMaxQ'),
+            peqShelves: document.getElementById('peqShelves'),
+            firPhase: document.getElementById('firPhase'),
+            firTaps: document.getElementById('firTaps'),
+            firWindow: document.getElementById('firWindow'),
+            firMode: document.getElementById('firMode'),
+            buildFirBtn: document.getElementById('buildFirBtn'),
+            exportFirBtn: document.getElementById('exportFirBtn'),
+            clearFirBtn: document.getElementById('clearFirBtn'),
+            firInfo: document.getElementById('firInfo'),
+            micCalibration: document.getElementById('micCalibration'),
+            micCalFileInput: document.getElementById('micCalFileInput'),
+            importMicCalBtn: document.getElementById('importMicCalBtn'),
+            deleteMicCalBtn: document.getElementById('deleteMicCalBtn'),
+            positionLabel: document.getElementById('positionLabel'),
+            positionWeight: document.getElementById('positionWeight'),
+            measurePositionBtn: document.getElementById('measurePositionBtn'),
+            applySessionBtn: document.getElementById('applySessionBtn'),
+            clearSessionBtn: document.getElementById('clearSessionBtn'),
+            sessionPositions: document.getElementById('sessionPositions'),
             eqType: document.getElementById('eqType'),
             crossfadeEnabled: document.getElementById('crossfadeEnabled'),
+            crossfadeDuration: document.getElementById('crossfadeDuration'),
+            crossfadeDurationValue: document.getElementById('crossfadeDurationValue'),
             limiterEnabled: document.getElementById('limiterEnabled'),
             batterySaver: document.getElementById('batterySaver')
         };
+        
+        this.decks = [this.elements.audioElement, this.elements.audioElementB];
+        this.currentAudio = this.decks[0];
     }
     
     setupEventListeners() {
@@ -69,25 +234,81 @@ class CarAudioEQApp {
             this.elements.fileInput.click();
         });
         
+        this.elements.chooseFolderBtn.addEventListener('click', () => {
+            this.elements.folderInput.click();
+        });
+        
         this.elements.fileInput.addEventListener('change', (e) => {
             this.handleFileSelect(e);
         });
         
+        this.elements.folderInput.addEventListener('change', (e) => {
+            this.handleFileSelect(e);
+        });
+        
         // Playback controls
         this.elements.playPauseBtn.addEventListener('click', () => {
             this.togglePlayback();
         });
         
-        this.elements.audioElement.addEventListener('timeupdate', () => {
-            this.updateProgress();
+        this.elements.prevBtn.addEventListener('click', () => {
+            this.playPrevious();
+        });
+        
+        this.elements.nextBtn.addEventListener('click', () => {
+            this.playNext();
+        });
+        
+        // Only the current deck drives the UI; the other one is preloading or fading out
+        this.decks.forEach(audio => {
+            audio.addEventListener('timeupdate', () => {
+                if (audio !== this.currentAudio) return;
+                this.updateProgress();
+                this.checkCrossfade();
+                this.checkGapless();
+            });
+            
+            audio.addEventListener('loadedmetadata', () => {
+                if (audio === this.currentAudio) this.updateDuration();
+            });
+            
+            audio.addEventListener('ended', () => {
+                if (audio === this.currentAudio) this.handleTrackEnd();
+            });
+        });
+        
+        // Queue controls
+        this.elements.shuffleBtn.addEventListener('click', () => {
+            this.playlist.setShuffle(!this.playlist.shuffle);
+            this.preloadNextTrack();
+            this.renderQueue();
+            this.saveSettings();
+        });
+        
+        this.elements.repeatBtn.addEventListener('click', () => {
+            this.playlist.cycleRepeat();
+            this.preloadNextTrack();
+            this.renderQueue();
+            this.saveSettings();
+        });
+        
+        this.elements.renderTrackBtn.addEventListener('click', () => {
+            this.renderTracks([this.playlist.current()]);
+        });
+        
+        this.elements.renderQueueBtn.addEventListener('click', () => {
+            this.renderTracks(this.playlist.order.map(index => this.playlist.tracks[index]));
         });
         
-        this.elements.audioElement.addEventListener('loadedmetadata', () => {
-            this.updateDuration();
+        this.elements.cancelRenderBtn.addEventListener('click', () => {
+            if (this.rendering) {
+                this.rendering.cancelled = true;
+                this.elements.renderText.textContent = 'Cancelling...';
+            }
         });
         
-        this.elements.audioElement.addEventListener('ended', () => {
-            this.handleTrackEnd();
+        this.elements.renderFormat.addEventListener('change', () => {
+            this.saveSettings();
         });
         
         this.elements.progressBar.addEventListener('input', (e) => {
@@ -103,6 +324,142 @@ class CarAudioEQApp {
             this.resetEQ();
         });
         
+        this.elements.preamp.addEventListener('input', (e) => {
+            this.audioProcessor.setPreamp(parseFloat(e.target.value));
+            this.updatePreampDisplay();
+            this.markEQChanged();
+        });
+        
+        // User presets
+        this.elements.savePresetBtn.addEventListener('click', () => {
+            this.saveUserPreset();
+        });
+        
+        this.elements.overwritePresetBtn.addEventListener('click', () => {
+            this.overwriteUserPreset();
+        });
+        
+        this.elements.renamePresetBtn.addEventListener('click', () => {
+            this.renameUserPreset();
+        });
+        
+        this.elements.duplicatePresetBtn.addEventListener('click', () => {
+            this.duplicateUserPreset();
+        });
+        
+        this.elements.deletePresetBtn.addEventListener('click', () => {
+            this.deleteUserPreset();
+        });
+        
+        // EQ export
+        this.elements.exportApoBtn.addEventListener('click', () => {
+            this.exportEQ('apo');
+        });
+        
+        this.elements.exportAutoEqBtn.addEventListener('click', () => {
+            this.exportEQ('autoeq');
+        });
+        
+        this.elements.exportGraphicEqBtn.addEventListener('click', () => {
+            this.exportEQ('graphiceq');
+        });
+        
+        this.elements.exportCsvBtn.addEventListener('click', () => {
+            this.exportEQ('csv');
+        });
+        
+        this.elements.importEqBtn.addEventListener('click', () => {
+            this.elements.eqFileInput.click();
+        });
+        
+        this.elements.eqFileInput.addEventListener('change', (e) => {
+            this.importEQ(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        // A/B comparison
+        this.elements.storeABtn.addEventListener('click', () => {
+            this.storeABState('A');
+        });
+        
+        this.elements.storeBBtn.addEventListener('click', () => {
+            this.storeABState('B');
+        });
+        
+        this.elements.slotABtn.addEventListener('click', () => {
+            this.switchABState('A');
+        });
+        
+        this.elements.slotBBtn.addEventListener('click', () => {
+            this.switchABState('B');
+        });
+        
+        this.elements.bypassBtn.addEventListener('click', () => {
+            this.audioProcessor.setBypass(!this.audioProcessor.bypassed);
+            this.updateABControls();
+        });
+        
+        this.elements.levelMatchEnabled.addEventListener('change', (e) => {
+            this.audioProcessor.setLevelMatch(e.target.checked);
+            this.updateABControls();
+        });
+        
+        // Left/right channels
+        this.elements.channelLink.addEventListener('change', (e) => {
+            this.setChannelLink(e.target.checked);
+        });
+        
+        this.elements.editLeftBtn.addEventListener('click', () => {
+            this.selectEditChannel('left');
+        });
+        
+        this.elements.editRightBtn.addEventListener('click', () => {
+            this.selectEditChannel('right');
+        });
+        
+        // Time alignment
+        for (const id of ['leftDelay', 'rightDelay']) {
+            this.elements[id].addEventListener('change', () => {
+                this.applyDelayInputs();
+            });
+        }
+        
+        this.elements.calcDelaysBtn.addEventListener('click', () => {
+            this.calculateDelaysFromDistances();
+        });
+        
+        this.elements.measureDelaysBtn.addEventListener('click', () => {
+            this.measureChannelDelays();
+        });
+        
+        this.elements.alignmentPreset.addEventListener('change', (e) => {
+            this.loadAlignmentPreset(e.target.value);
+        });
+        
+        this.elements.saveAlignmentBtn.addEventListener('click', () => {
+            this.saveAlignmentPreset();
+        });
+        
+        this.elements.deleteAlignmentBtn.addEventListener('click', () => {
+            this.deleteAlignmentPreset();
+        });
+        
+        // Crossover
+        const crossoverControls = [
+            'highPassEnabled', 'highPassFreq', 'highPassAlignment', 'highPassSlope',
+            'subEnabled', 'subFreq', 'subAlignment', 'subSlope', 'subInverted',
+            'subsonicEnabled', 'subsonicFreq'
+        ];
+        for (const id of crossoverControls) {
+            this.elements[id].addEventListener('change', () => {
+                this.updateCrossover();
+            });
+        }
+        
+        this.elements.subLevel.addEventListener('input', () => {
+            this.updateCrossover();
+        });
+        
         // Calibration
         this.elements.calibrateBtn.addEventListener('click', () => {
             this.startCalibration();
@@ -112,6 +469,177 @@ class CarAudioEQApp {
             this.toggleAdvancedOptions();
         });
         
+        this.elements.exportIrBtn.addEventListener('click', () => {
+            this.exportMeasurement('wav');
+        });
+        
+        this.elements.exportFrdBtn.addEventListener('click', () => {
+            this.exportMeasurement('frd');
+        });
+        
+        this.elements.exportRewBtn.addEventListener('click', () => {
+            this.exportMeasurement('txt');
+        });
+        
+        // Offline calibration from a measurement file
+        this.elements.importMeasurementBtn.addEventListener('click', () => {
+            this.elements.measurementFileInput.click();
+        });
+        
+        this.elements.measurementFileInput.addEventListener('change', (e) => {
+            this.importMeasurement(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        this.elements.applyPreviewBtn.addEventListener('click', () => {
+            this.applyImportedCorrections();
+        });
+        
+        this.elements.closePreviewBtn.addEventListener('click', () => {
+            this.closeMeasurementPreview();
+        });
+        
+        this.elements.measurementPreviewModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.measurementPreviewModal) {
+                this.closeMeasurementPreview();
+            }
+        });
+        
+        for (const input of ['eqShowTarget', 'eqShowMeasurement', 'targetCurve', 'smoothing']) {
+            this.elements[input].addEventListener('change', () => {
+                this.updateEQResponseOverlays();
+                this.saveSettings();
+            });
+        }
+        
+        window.addEventListener('resize', () => {
+            this.eqResponseGraph.resize();
+            this.drawEQResponse();
+            if (this.elements.measurementPreviewModal.style.display !== 'none') {
+                this.previewGraph.resize();
+                this.updateMeasurementPreview();
+            }
+        });
+        
+        // Target curve editor
+        this.elements.editTargetsBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openTargetEditor();
+        });
+        
+        this.elements.closeTargetEditorBtn.addEventListener('click', () => {
+            this.closeTargetEditor();
+        });
+        
+        this.elements.targetEditorModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.targetEditorModal) {
+                this.closeTargetEditor();
+            }
+        });
+        
+        this.elements.targetEditorSelect.addEventListener('change', (e) => {
+            this.loadTargetIntoEditor(e.target.value);
+        });
+        
+        const shapeControls = {
+            bassShelfGain: (value) => ({ bassShelf: { gain: value } }),
+            bassShelfFreq: (value) => ({ bassShelf: { frequency: value } }),
+            trebleTiltSlope: (value) => ({ trebleTilt: { slope: value } }),
+            trebleTiltFreq: (value) => ({ trebleTilt: { frequency: value } })
+        };
+        for (const [id, toShape] of Object.entries(shapeControls)) {
+            this.elements[id].addEventListener('input', (e) => {
+                this.targetEditor.setShape(toShape(parseFloat(e.target.value)));
+                this.updateTargetShapeControls(this.targetEditor.getTarget());
+            });
+        }
+        
+        this.elements.saveTargetBtn.addEventListener('click', () => {
+            this.saveTarget();
+        });
+        
+        this.elements.deleteTargetBtn.addEventListener('click', () => {
+            this.deleteTarget();
+        });
+        
+        this.elements.importTargetBtn.addEventListener('click', () => {
+            this.elements.targetFileInput.click();
+        });
+        
+        this.elements.targetFileInput.addEventListener('change', (e) => {
+            this.importTarget(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        this.elements.exportTargetBtn.addEventListener('click', () => {
+            this.exportTarget();
+        });
+        
+        const profileInputs = [
+            'correctionSolver', 'maxBoost', 'maxCut', 'correctionStrength', 'correctRangeMin', 'correctRangeMax',
+            'peaksOnly', 'transitionFreq', 'normalization', 'referenceBandMin', 'referenceBandMax'
+        ];
+        for (const input of profileInputs) {
+            this.elements[input].addEventListener('change', () => this.updateCorrectionProfile());
+        }
+        
+        for (const input of ['correctionType', 'peqFilterCount', 'peqMinQ', 'peqMaxQ', 'peqShelves']) {
+            this.elements[input].addEventListener('change', () => this.saveSettings());
+        }
+        
+        for (const input of ['firPhase', 'firTaps', 'firWindow']) {
+            this.elements[input].addEventListener('change', () => this.saveSettings());
+        }
+        
+        this.elements.firMode.addEventListener('change', (e) => {
+            this.audioProcessor.setFirMode(e.target.value);
+            this.updateFirInfo();
+            this.saveSettings();
+        });
+        
+        this.elements.buildFirBtn.addEventListener('click', () => {
+            this.buildFir();
+        });
+        
+        this.elements.exportFirBtn.addEventListener('click', () => {
+            this.exportFir();
+        });
+        
+        this.elements.clearFirBtn.addEventListener('click', () => {
+            this.clearFir();
+        });
+        
+        this.elements.micCalibration.addEventListener('change', (e) => {
+            this.calibration.setMicCalibration(e.target.value || null);
+            this.saveSettings();
+        });
+        
+        this.elements.importMicCalBtn.addEventListener('click', () => {
+            this.elements.micCalFileInput.click();
+        });
+        
+        this.elements.micCalFileInput.addEventListener('change', (e) => {
+            this.importMicCalibration(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        this.elements.deleteMicCalBtn.addEventListener('click', () => {
+            this.deleteMicCalibration();
+        });
+        
+        this.elements.measurePositionBtn.addEventListener('click', () => {
+            this.measureSessionPosition();
+        });
+        
+        this.elements.applySessionBtn.addEventListener('click', () => {
+            this.applySession();
+        });
+        
+        this.elements.clearSessionBtn.addEventListener('click', () => {
+            this.calibration.endSession();
+            this.renderSessionPositions();
+        });
+        
         this.elements.measureTime.addEventListener('input', (e) => {
             this.elements.measureTimeValue.textContent = `${e.target.value}s`;
         });
@@ -140,11 +668,27 @@ class CarAudioEQApp {
             this.spectrumAnalyzer.setMode('rta');
         });
         
+        this.elements.spectrogramModeBtn.addEventListener('click', () => {
+            this.spectrumAnalyzer.setMode('spectrogram');
+        });
+        
+        this.elements.waterfallModeBtn.addEventListener('click', () => {
+            this.spectrumAnalyzer.setMode('waterfall');
+        });
+        
+        for (const input of ['spectrumSmoothing', 'spectrumMinDb', 'spectrumMaxDb', 'spectrogramHistory', 'spectrogramColors']) {
+            this.elements[input].addEventListener('change', () => this.updateSpectrumSettings());
+        }
+        
         // Settings changes
         this.elements.eqType.addEventListener('change', (e) => {
             this.changeEQType(e.target.value);
         });
         
+        this.elements.crossfadeDuration.addEventListener('input', (e) => {
+            this.elements.crossfadeDurationValue.textContent = `${e.target.value}s`;
+        });
+        
         this.elements.limiterEnabled.addEventListener('change', (e) => {
             if (this.audioProcessor) {
                 this.audioProcessor.setLimiter(e.target.checked);
@@ -174,8 +718,28 @@ class CarAudioEQApp {
                 this.updateCalibrationStatus.bind(this)
             );
             
+            // Initialize target curve editor
+            this.targetEditor = new TargetCurveEditor(
+                this.elements.targetCanvas,
+                this.calibration
+            );
+            
+            // Graph for previewing corrections from imported measurements
+            this.previewGraph = new ResponseGraph(this.elements.previewCanvas);
+            this.previewCorrections = null;
+            
+            // Combined response of the EQ filters, with optional target/measurement overlays
+            this.eqResponseGraph = new ResponseGraph(this.elements.eqResponseCanvas);
+            this.eqResponseFrequencies = this.calibration.getLogFrequencies(24);
+            this.eqResponseOverlays = { target: null, measured: null };
+            
             // Create EQ UI
             this.createEQBands();
+            this.createParametricBands();
+            this.populateMicCalibrations();
+            this.populateTargetCurves();
+            this.populateAlignmentPresets();
+            this.populateUserPresets();
             
         } catch (error) {
             console.error('Failed to initialize audio components:', error);
@@ -212,9 +776,9 @@ class CarAudioEQApp {
             
             slider.addEventListener('input', (e) => {
                 const gain = parseFloat(e.target.value);
-                this.audioProcessor.setFilterGain(index, gain);
+                this.audioProcessor.setFilterGain(index, gain, this.editChannel);
                 value.textContent = `${gain > 0 ? '+' : ''}${gain} dB`;
-                this.elements.presetSelect.value = 'custom';
+                this.markEQChanged();
             });
             
             band.appendChild(value);
@@ -225,6 +789,169 @@ class CarAudioEQApp {
         });
     }
     
+    createParametricBands() {
+        const bands = this.audioProcessor.getParametricBands(this.editChannel);
+        const typeLabels = {
+            'peaking': 'Peak',
+            'lowshelf': 'Low Shelf',
+            'highshelf': 'High Shelf',
+            'lowpass': 'Low Pass',
+            'highpass': 'High Pass',
+            'notch': 'Notch'
+        };
+        this.elements.parametricBands.innerHTML = '';
+        
+        bands.forEach((band, index) => {
+            const row = document.createElement('div');
+            row.className = 'peq-band';
+            row.dataset.index = index;
+            
+            const header = document.createElement('div');
+            header.className = 'peq-band-header';
+            
+            const title = document.createElement('span');
+            title.textContent = `Band ${index + 1}`;
+            
+            const typeSelect = document.createElement('select');
+            typeSelect.className = 'peq-type';
+            for (const type of this.audioProcessor.parametricTypes) {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = typeLabels[type];
+                typeSelect.appendChild(option);
+            }
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'small-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.disabled = bands.length <= 1;
+            removeBtn.addEventListener('click', () => {
+                this.audioProcessor.removeParametricBand(index, this.editChannel);
+                this.createParametricBands();
+                this.markEQChanged();
+            });
+            
+            header.appendChild(title);
+            header.appendChild(typeSelect);
+            header.appendChild(removeBtn);
+            row.appendChild(header);
+            
+            // Frequency slider is log-scaled over 20 Hz - 20 kHz
+            const freqSlider = this.createParametricControl(row, 'Freq', 'frequency', 0, 1000, 1);
+            const gainSlider = this.createParametricControl(row, 'Gain', 'gain', -12, 12, 0.5);
+            const qSlider = this.createParametricControl(row, 'Q', 'Q', 0.1, 10, 0.1);
+            
+            typeSelect.addEventListener('change', (e) => {
+                this.audioProcessor.setParametricBand(index, { type: e.target.value }, this.editChannel);
+                this.updateParametricBand(index);
+                this.markEQChanged();
+            });
+            
+            freqSlider.addEventListener('input', (e) => {
+                const frequency = Math.round(this.sliderToFrequency(parseFloat(e.target.value)));
+                this.audioProcessor.setParametricBand(index, { frequency }, this.editChannel);
+                this.updateParametricBand(index);
+                this.markEQChanged();
+            });
+            
+            gainSlider.addEventListener('input', (e) => {
+                this.audioProcessor.setParametricBand(index, { gain: parseFloat(e.target.value) }, this.editChannel);
+                this.updateParametricBand(index);
+                this.markEQChanged();
+            });
+            
+            qSlider.addEventListener('input', (e) => {
+                this.audioProcessor.setParametricBand(index, { Q: parseFloat(e.target.value) }, this.editChannel);
+                this.updateParametricBand(index);
+                this.markEQChanged();
+            });
+            
+            this.elements.parametricBands.appendChild(row);
+            this.updateParametricBand(index);
+        });
+        
+        const addBtn = document.createElement('button');
+        addBtn.className = 'small-btn peq-add';
+        addBtn.textContent = 'Add Band';
+        addBtn.disabled = bands.length >= this.audioProcessor.maxParametricBands;
+        addBtn.addEventListener('click', () => {
+            this.audioProcessor.addParametricBand(this.audioProcessor.newParametricBand, this.editChannel);
+            this.createParametricBands();
+            this.markEQChanged();
+        });
+        this.elements.parametricBands.appendChild(addBtn);
+        this.updateEQTitle();
+    }
+    
+    createParametricControl(row, labelText, param, min, max, step) {
+        const label = document.createElement('label');
+        label.className = 'peq-control';
+        
+        const name = document.createElement('span');
+        name.textContent = labelText;
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'peq-slider';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.dataset.param = param;
+        
+        const value = document.createElement('span');
+        value.className = 'peq-value';
+        value.dataset.param = param;
+        
+        label.appendChild(name);
+        label.appendChild(slider);
+        label.appendChild(value);
+        row.appendChild(label);
+        
+        return slider;
+    }
+    
+    updateParametricBand(index) {
+        const band = this.audioProcessor.getParametricBands(this.editChannel)[index];
+        const row = this.elements.parametricBands.querySelector(`.peq-band[data-index="${index}"]`);
+        if (!band || !row) return;
+        
+        const usesGain = this.audioProcessor.bandUsesGain(band.type);
+        const usesQ = this.audioProcessor.bandUsesQ(band.type);
+        
+        row.querySelector('.peq-type').value = band.type;
+        row.querySelector('.peq-slider[data-param="frequency"]').value = this.frequencyToSlider(band.frequency);
+        row.querySelector('.peq-slider[data-param="gain"]').value = band.gain;
+        row.querySelector('.peq-slider[data-param="gain"]').disabled = !usesGain;
+        row.querySelector('.peq-slider[data-param="Q"]').value = band.Q;
+        row.querySelector('.peq-slider[data-param="Q"]').disabled = !usesQ;
+        
+        row.querySelector('.peq-value[data-param="frequency"]').textContent = `${this.formatFrequency(band.frequency)} Hz`;
+        row.querySelector('.peq-value[data-param="gain"]').textContent = usesGain
+            ? `${band.gain > 0 ? '+' : ''}${band.gain} dB`
+            : '-';
+        row.querySelector('.peq-value[data-param="Q"]').textContent = usesQ ? band.Q.toFixed(2) : '-';
+    }
+    
+    updateParametricControls() {
+        const bands = this.audioProcessor.getParametricBands(this.editChannel);
+        const rows = this.elements.parametricBands.querySelectorAll('.peq-band').length;
+        
+        // Band count differs between channels, presets and fitted corrections
+        if (rows !== bands.length) {
+            this.createParametricBands();
+            return;
+        }
+        bands.forEach((band, index) => this.updateParametricBand(index));
+    }
+    
+    sliderToFrequency(position) {
+        return 20 * Math.pow(1000, position / 1000);
+    }
+    
+    frequencyToSlider(frequency) {
+        return 1000 * Math.log10(frequency / 20) / 3;
+    }
+    
     formatFrequency(freq) {
         if (freq >= 1000) {
             return `${(freq / 1000).toFixed(freq % 1000 === 0 ? 0 : 1)}k`;
@@ -233,187 +960,1653 @@ class CarAudioEQApp {
     }
     
     handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        // Folder picks include every file, so keep only audio and sort by path
+        const files = Array.from(event.target.files)
+            .filter(file => file.type.startsWith('audio/') || /\.(mp3|wav|ogg|aac|flac|m4a)$/i.test(file.name))
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+        event.target.value = '';
+        
+        if (files.length === 0) {
+            this.showError('No audio files found');
+            return;
+        }
+        
+        const hadTrack = this.playlist.current() !== null;
+        this.playlist.add(files);
+        
+        if (hadTrack) {
+            this.preloadNextTrack();
+        } else {
+            this.loadTrack(this.playlist.current(), this.currentAudio);
+            this.preloadNextTrack();
+        }
         
-        const url = URL.createObjectURL(file);
-        this.elements.audioElement.src = url;
+        this.renderQueue();
+    }
+    
+    loadTrack(track, audio) {
+        // Release the previous file's object URL
+        if (audio.src.startsWith('blob:')) {
+            URL.revokeObjectURL(audio.src);
+        }
+        audio.src = URL.createObjectURL(track.file);
         
+        if (audio === this.currentAudio) {
+            this.showTrackInfo(track);
+        }
+    }
+    
+    showTrackInfo(track) {
         // Update track info
-        this.elements.trackTitle.textContent = file.name.replace(/\.[^/.]+$/, '');
+        this.elements.trackTitle.textContent = track.name;
         this.elements.trackArtist.textContent = 'Local File';
+        this.elements.progressBar.value = 0;
+        this.elements.currentTime.textContent = '0:00';
         
         // Enable play button
         this.elements.playPauseBtn.disabled = false;
         
         // Try to extract album art (if supported)
-        this.extractAlbumArt(file);
+        this.extractAlbumArt(track.file);
+        this.renderQueue();
     }
     
-    async extractAlbumArt(file) {
-        // This is a placeholder - in a real app, you'd use a library like jsmediatags
-        // For now, just show the default music icon
-        this.elements.albumArt.innerHTML = `
-            <svg viewBox="0 0 24 24" fill="currentColor">
-                <path d="M12 3v10.55c-.59-.34-1.27-.55-2-.55-2.21 0-4 1.79-4 4s1.79 4 4 4 4-1.79 4-4V7h4V3h-6z"/>
-            </svg>
-        `;
+    getIdleAudio() {
+        return this.decks.find(audio => audio !== this.currentAudio);
     }
     
-    togglePlayback() {
-        if (this.isPlaying) {
-            this.pause();
-        } else {
-            this.play();
+    preloadNextTrack() {
+        // Buffer the upcoming track on the idle deck so it can start without a gap
+        if (this.crossfading || this.gaplessHandover) return;
+        
+        const next = this.playlist.peekNext(true);
+        if (!next) {
+            this.preloadedTrack = null;
+            return;
+        }
+        
+        if (next !== this.preloadedTrack) {
+            const idle = this.getIdleAudio();
+            idle.preload = 'auto';
+            this.loadTrack(next, idle);
+            this.preloadedTrack = next;
         }
     }
     
-    async play() {
-        try {
-            // Connect audio source if not connected
-            this.audioProcessor.connectSource();
-            
-            // Resume audio context
-            await this.audioProcessor.resume();
+    async switchToTrack(track, autoplay) {
+        const previous = this.currentAudio;
+        const next = this.getIdleAudio();
+        
+        if (track !== this.preloadedTrack) {
+            this.loadTrack(track, next);
+        }
+        this.preloadedTrack = null;
+        
+        previous.pause();
+        this.currentAudio = next;
+        next.currentTime = 0;
+        this.showTrackInfo(track);
+        this.updateDuration();
+        
+        if (autoplay) {
+            await this.play();
+        }
+        this.preloadNextTrack();
+    }
+    
+    async crossfadeToTrack(track) {
+        const previous = this.currentAudio;
+        const next = this.getIdleAudio();
+        const duration = parseInt(this.elements.crossfadeDuration.value);
+        
+        if (track !== this.preloadedTrack) {
+            this.loadTrack(track, next);
+        }
+        this.preloadedTrack = null;
+        this.crossfading = true;
+        
+        this.currentAudio = next;
+        next.currentTime = 0;
+        this.showTrackInfo(track);
+        this.updateDuration();
+        
+        try {
+            this.audioProcessor.connectSource(next);
+            this.audioProcessor.setDeckGain(next, 0);
+            await next.play();
+            this.audioProcessor.crossfadeDecks(previous, next, duration);
+        } catch (error) {
+            console.error('Crossfade failed:', error);
+            previous.pause();
+            this.crossfading = false;
+            return;
+        }
+        
+        setTimeout(() => {
+            previous.pause();
+            this.crossfading = false;
+            this.preloadNextTrack();
+        }, duration * 1000);
+    }
+    
+    checkCrossfade() {
+        if (!this.elements.crossfadeEnabled.checked || !this.isPlaying || this.crossfading) return;
+        
+        const audio = this.currentAudio;
+        const fadeLength = parseInt(this.elements.crossfadeDuration.value);
+        const remaining = audio.duration - audio.currentTime;
+        
+        // Skip tracks too short to overlap
+        if (!isFinite(remaining) || audio.duration <= fadeLength * 2 || remaining > fadeLength) return;
+        
+        const next = this.playlist.next(true);
+        if (next) {
+            this.crossfadeToTrack(next);
+        }
+    }
+    
+    // Start the preloaded deck just before the current track ends; waiting for 'ended'
+    // would leave a gap while the event is dispatched and playback starts up
+    checkGapless() {
+        if (this.elements.crossfadeEnabled.checked || !this.isPlaying || this.crossfading || this.gaplessTimer !== null) return;
+        
+        const audio = this.currentAudio;
+        const remaining = (audio.duration - audio.currentTime) / audio.playbackRate;
+        
+        // timeupdate only fires every 250 ms or so, so look a little further ahead
+        if (!isFinite(remaining) || remaining > 1) return;
+        
+        const next = this.playlist.peekNext(true);
+        if (!next || next !== this.preloadedTrack) return;
+        
+        this.gaplessTimer = setTimeout(() => {
+            this.gaplessTimer = null;
+            
+            // Paused, seeked or switched in the meantime; the next timeupdate tries again
+            const left = (audio.duration - audio.currentTime) / audio.playbackRate;
+            if (audio !== this.currentAudio || !this.isPlaying || audio.paused || left > this.gaplessLead * 2) return;
+            
+            this.gaplessToTrack(this.playlist.next(true));
+        }, Math.max(0, remaining - this.gaplessLead) * 1000);
+    }
+    
+    async gaplessToTrack(track) {
+        const previous = this.currentAudio;
+        const next = this.getIdleAudio();
+        this.preloadedTrack = null;
+        this.gaplessHandover = true;
+        
+        this.currentAudio = next;
+        next.currentTime = 0;
+        this.showTrackInfo(track);
+        this.updateDuration();
+        await this.play();
+        
+        // The next track is already sounding, so whatever is left of the previous one
+        // is ramped out instead of playing over its start at full level
+        const left = (previous.duration - previous.currentTime) / previous.playbackRate;
+        this.audioProcessor.fadeOutDeck(previous, Math.max(0.005, Math.min(isFinite(left) ? left : 0, this.gaplessLead)));
+        
+        // The previous deck plays out its last few milliseconds before it is reused
+        setTimeout(() => {
+            previous.pause();
+            this.gaplessHandover = false;
+            this.preloadNextTrack();
+        }, (this.gaplessLead + 0.1) * 1000);
+    }
+    
+    async playNext() {
+        const track = this.playlist.next();
+        if (!track) return;
+        
+        if (this.isPlaying && this.elements.crossfadeEnabled.checked && !this.crossfading) {
+            await this.crossfadeToTrack(track);
+        } else {
+            await this.switchToTrack(track, this.isPlaying);
+        }
+    }
+    
+    async playPrevious() {
+        // Like most players, go back to the start first if we're into the track
+        if (this.currentAudio.currentTime > 3 || (this.playlist.position <= 0 && this.playlist.repeat !== 'all')) {
+            this.currentAudio.currentTime = 0;
+            return;
+        }
+        
+        const track = this.playlist.previous();
+        if (track) {
+            await this.switchToTrack(track, this.isPlaying);
+        }
+    }
+    
+    async playQueueTrack(trackIndex) {
+        const track = this.playlist.jumpTo(trackIndex);
+        if (track) {
+            await this.switchToTrack(track, true);
+        }
+    }
+    
+    async removeQueueTrack(trackIndex) {
+        const wasCurrent = trackIndex === this.playlist.currentIndex();
+        this.playlist.remove(trackIndex);
+        this.preloadedTrack = null;
+        
+        if (wasCurrent) {
+            const track = this.playlist.current();
+            if (track) {
+                await this.switchToTrack(track, this.isPlaying);
+            } else {
+                await this.stopPlayback();
+            }
+        } else {
+            this.preloadNextTrack();
+        }
+        
+        this.renderQueue();
+    }
+    
+    async stopPlayback() {
+        if (this.isPlaying) {
+            await this.pause();
+        }
+        this.decks.forEach(audio => {
+            if (audio.src.startsWith('blob:')) {
+                URL.revokeObjectURL(audio.src);
+            }
+            audio.removeAttribute('src');
+        });
+        
+        this.elements.trackTitle.textContent = 'No track selected';
+        this.elements.trackArtist.textContent = 'Choose a file to play';
+        this.elements.playPauseBtn.disabled = true;
+        this.elements.progressBar.value = 0;
+        this.elements.currentTime.textContent = '0:00';
+        this.elements.duration.textContent = '0:00';
+    }
+    
+    renderQueue() {
+        const list = this.elements.queueList;
+        list.innerHTML = '';
+        
+        const currentIndex = this.playlist.currentIndex();
+        this.playlist.order.forEach(trackIndex => {
+            const track = this.playlist.tracks[trackIndex];
+            const item = document.createElement('li');
+            item.classList.toggle('current', trackIndex === currentIndex);
+            
+            const name = document.createElement('span');
+            name.textContent = track.name;
+            item.appendChild(name);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'small-btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeQueueTrack(trackIndex);
+            });
+            item.appendChild(removeBtn);
+            
+            item.addEventListener('click', () => this.playQueueTrack(trackIndex));
+            list.appendChild(item);
+        });
+        
+        this.updateQueueControls();
+    }
+    
+    updateQueueControls() {
+        const count = this.playlist.length;
+        this.elements.queueCount.textContent = count === 0 ? '' : `${count} track${count === 1 ? '' : 's'}`;
+        this.elements.prevBtn.disabled = count === 0;
+        this.elements.nextBtn.disabled = this.playlist.peekNext() === null;
+        this.elements.shuffleBtn.classList.toggle('active', this.playlist.shuffle);
+        this.elements.repeatBtn.classList.toggle('active', this.playlist.repeat !== 'off');
+        this.elements.repeatBtn.textContent = `Repeat: ${{ off: 'Off', all: 'All', one: 'One' }[this.playlist.repeat]}`;
+        this.elements.renderTrackBtn.disabled = this.playlist.current() === null || this.rendering !== null;
+        this.elements.renderQueueBtn.disabled = count === 0 || this.rendering !== null;
+    }
+    
+    // Render tracks offline through the current EQ chain and download each as WAV.
+    // Cancelling takes effect between tracks, the one in progress is discarded.
+    async renderTracks(tracks) {
+        if (this.rendering || tracks.length === 0) return;
+        
+        const rendering = { cancelled: false };
+        const bitDepth = parseInt(this.elements.renderFormat.value);
+        this.rendering = rendering;
+        this.elements.renderStatus.style.display = 'flex';
+        this.updateQueueControls();
+        
+        // The sub keeps its own channel when it has one, so the file is multichannel then
+        const subChannel = this.audioProcessor.getRenderSubChannel();
+        const layout = subChannel === null ? '' : ` (sub on channel ${subChannel + 1})`;
+        
+        let rendered = 0;
+        try {
+            for (const [i, track] of tracks.entries()) {
+                if (rendering.cancelled) break;
+                
+                const label = tracks.length > 1 ? `${i + 1}/${tracks.length}: ${track.name}` : track.name;
+                const showProgress = (fraction) => {
+                    if (rendering.cancelled) return;
+                    this.elements.renderProgress.value = (i + fraction) / tracks.length;
+                    this.elements.renderText.textContent = `Rendering ${label} ${Math.round(fraction * 100)}%${layout}`;
+                };
+                showProgress(0);
+                
+                const buffer = await this.audioProcessor.context.decodeAudioData(await track.file.arrayBuffer());
+                const { channels, sampleRate } = await this.audioProcessor.renderOffline(buffer, showProgress);
+                if (rendering.cancelled) break;
+                
+                this.downloadFile(FileFormats.encodeWav(channels, sampleRate, bitDepth), `${track.name} (EQ).wav`);
+                rendered++;
+            }
+            
+            if (rendering.cancelled) {
+                this.showSuccess(`Rendering cancelled, ${rendered} of ${tracks.length} tracks saved`);
+            } else {
+                this.showSuccess(`Rendered ${rendered} track${rendered === 1 ? '' : 's'}${layout}`);
+            }
+        } catch (error) {
+            console.error('Render failed:', error);
+            this.showError('Render failed: ' + error.message);
+        } finally {
+            this.rendering = null;
+            this.elements.renderStatus.style.display = 'none';
+            this.elements.renderProgress.value = 0;
+            this.updateQueueControls();
+        }
+    }
+    
+    async extractAlbumArt(file) {
+        // This is a placeholder - in a real app, you'd use a library like jsmediatags
+        // For now, just show the default music icon
+        this.elements.albumArt.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M12 3v10.55c-.59-.34-1.27-.55-2-.55-2.21 0-4 1.79-4 4s1.79 4 4 4 4-1.79 4-4V7h4V3h-6z"/>
+            </svg>
+        `;
+    }
+    
+    togglePlayback() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+    
+    async play() {
+        try {
+            // Connect audio source if not connected
+            this.audioProcessor.connectSource(this.currentAudio);
+            if (!this.crossfading) {
+                this.audioProcessor.setDeckGain(this.currentAudio, 1);
+            }
+            
+            // Resume audio context
+            await this.audioProcessor.resume();
+            
+            await this.currentAudio.play();
+            this.isPlaying = true;
+            this.elements.playIcon.style.display = 'none';
+            this.elements.pauseIcon.style.display = 'block';
+            this.spectrumAnalyzer.start();
+        } catch (error) {
+            console.error('Playback failed:', error);
+            this.showError('Failed to play audio');
+        }
+    }
+    
+    async pause() {
+        this.decks.forEach(audio => audio.pause());
+        
+        // Suspend audio context to prevent stuck audio
+        await this.audioProcessor.suspend();
+        
+        this.isPlaying = false;
+        this.elements.playIcon.style.display = 'block';
+        this.elements.pauseIcon.style.display = 'none';
+        this.spectrumAnalyzer.stop();
+    }
+    
+    updateProgress() {
+        const current = this.currentAudio.currentTime;
+        const duration = this.currentAudio.duration;
+        
+        if (duration) {
+            const progress = (current / duration) * 100;
+            this.elements.progressBar.value = progress;
+            this.elements.currentTime.textContent = this.formatTime(current);
+        }
+    }
+    
+    updateDuration() {
+        const duration = this.currentAudio.duration;
+        if (duration) {
+            this.elements.duration.textContent = this.formatTime(duration);
+        }
+    }
+    
+    seekTo(percentage) {
+        const duration = this.currentAudio.duration;
+        if (duration) {
+            const time = (percentage / 100) * duration;
+            this.currentAudio.currentTime = time;
+        }
+    }
+    
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+    
+    async handleTrackEnd() {
+        // Only reached when the early start in checkGapless didn't happen, e.g. with
+        // crossfade on and a track too short to overlap; the next track is usually buffered
+        const next = this.playlist.next(true);
+        if (next) {
+            await this.switchToTrack(next, true);
+            return;
+        }
+        
+        this.isPlaying = false;
+        this.elements.playIcon.style.display = 'block';
+        this.elements.pauseIcon.style.display = 'none';
+        this.elements.progressBar.value = 0;
+        this.elements.currentTime.textContent = '0:00';
+        this.spectrumAnalyzer.stop();
+    }
+    
+    loadPreset(presetName) {
+        const userPreset = this.getUserPresetName(presetName);
+        if (userPreset) {
+            const state = this.audioProcessor.loadUserPreset(userPreset);
+            if (state) {
+                this.refreshEQState(state);
+            }
+        } else {
+            const preset = this.audioProcessor.loadPreset(presetName, this.editChannel);
+            if (preset) {
+                this.updateEQSliderDisplay(preset);
+            }
+        }
+        
+        this.updatePresetControls();
+        this.scheduleSave();
+    }
+    
+    // EQ edits leave the selected preset, and are saved shortly after
+    markEQChanged() {
+        this.elements.presetSelect.value = 'custom';
+        this.updatePresetControls();
+        this.drawEQResponse();
+        this.scheduleSave();
+    }
+    
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveSettings(), 500);
+    }
+    
+    getUserPresetName(value = this.elements.presetSelect.value) {
+        return value && value.startsWith('user:') ? value.slice(5) : null;
+    }
+    
+    populateUserPresets() {
+        const group = this.elements.userPresets;
+        group.innerHTML = '';
+        
+        for (const name of this.audioProcessor.getUserPresetNames()) {
+            const option = document.createElement('option');
+            option.value = `user:${name}`;
+            option.textContent = name;
+            group.appendChild(option);
+        }
+        
+        this.updatePresetControls();
+    }
+    
+    updatePresetControls() {
+        const selected = this.getUserPresetName() !== null;
+        this.elements.overwritePresetBtn.disabled = !selected;
+        this.elements.renamePresetBtn.disabled = !selected;
+        this.elements.duplicatePresetBtn.disabled = !selected;
+        this.elements.deletePresetBtn.disabled = !selected;
+    }
+    
+    selectUserPreset(name) {
+        this.populateUserPresets();
+        this.elements.presetSelect.value = `user:${name}`;
+        this.updatePresetControls();
+        this.scheduleSave();
+    }
+    
+    saveUserPreset() {
+        const name = prompt('Preset name:', this.getUserPresetName() || '');
+        if (!name) return;
+        
+        if (this.audioProcessor.userPresets[name] && !confirm(`Overwrite preset "${name}"?`)) return;
+        
+        this.audioProcessor.saveUserPreset(name);
+        this.selectUserPreset(name);
+        this.showSuccess(`Preset "${name}" saved`);
+    }
+    
+    overwriteUserPreset() {
+        const name = this.getUserPresetName();
+        if (!name || !confirm(`Overwrite preset "${name}" with the current EQ?`)) return;
+        
+        this.audioProcessor.saveUserPreset(name);
+        this.showSuccess(`Preset "${name}" updated`);
+    }
+    
+    renameUserPreset() {
+        const name = this.getUserPresetName();
+        if (!name) return;
+        
+        const newName = prompt('New preset name:', name);
+        if (!newName || newName === name) return;
+        
+        try {
+            this.audioProcessor.renameUserPreset(name, newName);
+            this.selectUserPreset(newName);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+    
+    duplicateUserPreset() {
+        const name = this.getUserPresetName();
+        if (!name) return;
+        
+        const newName = prompt('Name for the copy:', `${name} (copy)`);
+        if (!newName) return;
+        
+        try {
+            this.audioProcessor.duplicateUserPreset(name, newName);
+            this.selectUserPreset(newName);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+    
+    deleteUserPreset() {
+        const name = this.getUserPresetName();
+        if (!name || !confirm(`Delete preset "${name}"?`)) return;
+        
+        this.audioProcessor.deleteUserPreset(name);
+        this.populateUserPresets();
+        this.elements.presetSelect.value = 'custom';
+        this.updatePresetControls();
+        this.scheduleSave();
+    }
+    
+    refreshEQState(state) {
+        // Bring every EQ control in line with a state from the processor
+        this.updateEQSliderDisplay(state.graphicGains[this.editChannel]);
+        this.elements.eqType.value = state.eqType;
+        this.changeEQType(state.eqType);
+        this.updateParametricControls();
+        this.updateChannelControls();
+        this.updatePreampDisplay();
+    }
+    
+    updatePreampDisplay() {
+        const preamp = this.audioProcessor.preamp;
+        this.elements.preamp.value = preamp;
+        this.elements.preampValue.textContent = `${preamp > 0 ? '+' : ''}${preamp} dB`;
+    }
+    
+    updateEQSliders(gains, channel = this.editChannel) {
+        this.updateEQSliderDisplay(gains);
+        gains.forEach((gain, index) => {
+            this.audioProcessor.setFilterGain(index, gain, channel);
+        });
+    }
+    
+    updateEQSliderDisplay(gains) {
+        const sliders = this.elements.eqBands.querySelectorAll('.eq-slider');
+        sliders.forEach((slider, index) => {
+            if (gains[index] !== undefined) {
+                slider.value = gains[index];
+                const value = document.getElementById(`eq-value-${index}`);
+                value.textContent = `${gains[index] > 0 ? '+' : ''}${gains[index]} dB`;
+            }
+        });
+    }
+    
+    storeABState(slot) {
+        this.audioProcessor.storeABState(slot);
+        this.updateABControls();
+        this.showSuccess(`Current EQ stored as ${slot}`);
+    }
+    
+    switchABState(slot) {
+        // Controls follow the stored state once the processor has swapped it in
+        const state = this.audioProcessor.switchABState(slot, (applied) => {
+            this.refreshEQState(applied);
+            this.scheduleSave();
+        });
+        if (!state) return;
+        
+        this.updateABControls();
+    }
+    
+    updateABControls() {
+        const processor = this.audioProcessor;
+        
+        this.elements.slotABtn.disabled = !processor.abStates.A;
+        this.elements.slotBBtn.disabled = !processor.abStates.B;
+        this.elements.slotABtn.classList.toggle('active', processor.activeSlot === 'A' && !processor.bypassed);
+        this.elements.slotBBtn.classList.toggle('active', processor.activeSlot === 'B' && !processor.bypassed);
+        this.elements.bypassBtn.classList.toggle('active', processor.bypassed);
+        
+        const offset = processor.levelOffset;
+        this.elements.levelMatchValue.textContent = processor.levelMatch && !processor.bypassed
+            ? `${offset > 0 ? '+' : ''}${offset.toFixed(1)} dB`
+            : '';
+    }
+    
+    setChannelLink(enabled) {
+        // Linking copies the channel being edited onto the other one
+        this.audioProcessor.setChannelLink(enabled, this.editChannel);
+        this.updateChannelControls();
+        this.refreshEQDisplay();
+        this.saveSettings();
+    }
+    
+    selectEditChannel(channel) {
+        this.editChannel = channel;
+        this.updateChannelControls();
+        this.refreshEQDisplay();
+    }
+    
+    refreshEQDisplay() {
+        this.updateEQSliderDisplay(this.audioProcessor.getAllGains(this.editChannel));
+        this.updateParametricControls();
+        this.drawEQResponse();
+    }
+    
+    drawEQResponse() {
+        const frequencies = this.eqResponseFrequencies;
+        const filters = this.audioProcessor.getActiveFilters(this.editChannel);
+        const response = this.audioProcessor.computeFiltersResponse(filters, frequencies);
+        const { target, measured } = this.eqResponseOverlays;
+        
+        // Fixed ±15 dB unless a curve goes beyond it
+        const levels = [response, target, measured]
+            .filter(curve => curve !== null)
+            .flat()
+            .filter(db => db !== null);
+        const graph = this.eqResponseGraph;
+        graph.setDbRange(
+            Math.min(-15, Math.floor(Math.min(...levels) / 5) * 5),
+            Math.max(15, Math.ceil(Math.max(...levels) / 5) * 5)
+        );
+        graph.clear();
+        graph.drawGrid();
+        
+        const legend = [['EQ', '#4fc3f7']];
+        if (measured) {
+            graph.drawCurve(frequencies, measured, '#ffa116', 1.5);
+            legend.push(['Last Measurement', '#ffa116']);
+        }
+        if (target) {
+            graph.drawCurve(frequencies, target, '#1db954', 2, true);
+            legend.push(['Target', '#1db954']);
+        }
+        graph.drawCurve(frequencies, response, '#4fc3f7', 2);
+        graph.drawLegend(legend);
+    }
+    
+    // Overlays only change with the target, smoothing, profile or a new measurement
+    updateEQResponseOverlays() {
+        const targetCurve = this.elements.targetCurve.value;
+        const smoothing = this.elements.smoothing.value;
+        const frequencies = this.eqResponseFrequencies;
+        
+        let measured = null;
+        if (this.elements.eqShowMeasurement.checked) {
+            try {
+                measured = this.calibration.normalizedResponse(targetCurve, smoothing, frequencies);
+            } catch (error) {
+                // e.g. nothing above the noise floor in the reference band
+                console.warn('Measurement overlay unavailable:', error.message);
+            }
+        }
+        
+        this.eqResponseOverlays = {
+            target: this.elements.eqShowTarget.checked ? this.calibration.getTargetCurve(targetCurve, frequencies) : null,
+            measured
+        };
+        this.drawEQResponse();
+    }
+    
+    updateChannelControls() {
+        const linked = this.audioProcessor.channelLink;
+        
+        this.elements.channelLink.checked = linked;
+        this.elements.editLeftBtn.disabled = linked;
+        this.elements.editRightBtn.disabled = linked;
+        this.elements.editLeftBtn.classList.toggle('active', this.editChannel === 'left');
+        this.elements.editRightBtn.classList.toggle('active', this.editChannel === 'right');
+    }
+    
+    applyDelayInputs() {
+        const delays = {};
+        for (const channel of this.audioProcessor.channels) {
+            const value = parseFloat(this.elements[`${channel}Delay`].value) || 0;
+            delays[channel] = this.audioProcessor.setChannelDelay(channel, value);
+        }
+        this.updateDelayInputs(delays);
+        this.saveSettings();
+    }
+    
+    updateDelayInputs(delays) {
+        for (const channel of this.audioProcessor.channels) {
+            this.elements[`${channel}Delay`].value = delays[channel].toFixed(2);
+        }
+    }
+    
+    getDistanceInputs() {
+        const distances = {};
+        for (const channel of this.audioProcessor.channels) {
+            distances[channel] = parseFloat(this.elements[`${channel}Distance`].value);
+        }
+        return distances;
+    }
+    
+    calculateDelaysFromDistances() {
+        const distances = this.getDistanceInputs();
+        if (Object.values(distances).some(distance => !(distance > 0))) {
+            this.showError('Enter the distance from each speaker to your head');
+            return;
+        }
+        
+        const delays = this.audioProcessor.calculateDelaysFromDistances(distances);
+        this.audioProcessor.setChannelDelays(delays);
+        this.updateDelayInputs(this.audioProcessor.getChannelDelays());
+        this.saveSettings();
+        this.showSuccess('Delays calculated from distances');
+    }
+    
+    async measureChannelDelays() {
+        const button = this.elements.measureDelaysBtn;
+        button.disabled = true;
+        button.textContent = 'Measuring...';
+        
+        try {
+            const arrivals = await this.calibration.measureArrivalTimes();
+            const delays = this.audioProcessor.calculateDelaysFromArrivals(arrivals);
+            this.audioProcessor.setChannelDelays(delays);
+            this.updateDelayInputs(this.audioProcessor.getChannelDelays());
+            this.saveSettings();
+            
+            const spread = Math.max(...Object.values(delays));
+            this.showSuccess(`Arrival difference ${spread.toFixed(2)} ms, delays applied`);
+        } catch (error) {
+            console.error('Arrival time measurement failed:', error);
+            this.showError('Measurement failed: ' + error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Measure Arrival Times';
+        }
+    }
+    
+    populateAlignmentPresets() {
+        const select = this.elements.alignmentPreset;
+        select.innerHTML = '<option value="">Saved Alignments</option>';
+        
+        for (const name of this.audioProcessor.getAlignmentPresetNames()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+    }
+    
+    loadAlignmentPreset(name) {
+        const preset = this.audioProcessor.alignmentPresets[name];
+        if (!preset) return;
+        
+        this.audioProcessor.setChannelDelays(preset.delays);
+        this.updateDelayInputs(this.audioProcessor.getChannelDelays());
+        if (preset.distances) {
+            for (const channel of this.audioProcessor.channels) {
+                this.elements[`${channel}Distance`].value = preset.distances[channel];
+            }
+        }
+        this.saveSettings();
+    }
+    
+    saveAlignmentPreset() {
+        const name = prompt('Name for this alignment (e.g. Driver Seat, Passenger Seat):',
+            this.elements.alignmentPreset.value || 'Driver Seat');
+        if (!name) return;
+        
+        this.audioProcessor.saveAlignmentPreset(name, this.audioProcessor.getChannelDelays(), this.getDistanceInputs());
+        this.populateAlignmentPresets();
+        this.elements.alignmentPreset.value = name;
+        this.showSuccess(`Alignment saved as "${name}"`);
+    }
+    
+    deleteAlignmentPreset() {
+        const name = this.elements.alignmentPreset.value;
+        if (!name || !confirm(`Delete alignment "${name}"?`)) return;
+        
+        this.audioProcessor.deleteAlignmentPreset(name);
+        this.populateAlignmentPresets();
+    }
+    
+    updateCrossover() {
+        const el = this.elements;
+        
+        try {
+            this.audioProcessor.setCrossover({
+                highPass: {
+                    enabled: el.highPassEnabled.checked,
+                    frequency: parseFloat(el.highPassFreq.value) || 80,
+                    alignment: el.highPassAlignment.value,
+                    slope: parseInt(el.highPassSlope.value)
+                },
+                sub: {
+                    enabled: el.subEnabled.checked,
+                    frequency: parseFloat(el.subFreq.value) || 80,
+                    alignment: el.subAlignment.value,
+                    slope: parseInt(el.subSlope.value),
+                    level: parseFloat(el.subLevel.value),
+                    inverted: el.subInverted.checked
+                },
+                subsonic: {
+                    enabled: el.subsonicEnabled.checked,
+                    frequency: parseFloat(el.subsonicFreq.value) || 25
+                }
+            });
+        } catch (error) {
+            this.showError(error.message);
+        }
+        
+        this.updateCrossoverControls(this.audioProcessor.getCrossover());
+        this.saveSettings();
+    }
+    
+    updateCrossoverControls(crossover) {
+        const el = this.elements;
+        const { highPass, sub, subsonic } = crossover;
+        
+        el.highPassEnabled.checked = highPass.enabled;
+        el.highPassFreq.value = highPass.frequency;
+        el.highPassAlignment.value = highPass.alignment;
+        el.highPassSlope.value = highPass.slope;
+        
+        el.subEnabled.checked = sub.enabled;
+        el.subFreq.value = sub.frequency;
+        el.subAlignment.value = sub.alignment;
+        el.subSlope.value = sub.slope;
+        el.subLevel.value = sub.level;
+        el.subLevelValue.textContent = `${sub.level > 0 ? '+' : ''}${sub.level} dB`;
+        el.subInverted.checked = sub.inverted;
+        
+        el.subsonicEnabled.checked = subsonic.enabled;
+        el.subsonicFreq.value = subsonic.frequency;
+        
+        if (!sub.enabled) {
+            el.subOutputInfo.textContent = '';
+        } else if (this.audioProcessor.hasSubOutput()) {
+            el.subOutputInfo.textContent = `Sub on output channel ${this.audioProcessor.subOutputIndex + 1}`;
+        } else {
+            el.subOutputInfo.textContent = 'Stereo output: sub is mixed into left and right';
+        }
+    }
+    
+    resetEQ() {
+        if (this.audioProcessor.eqType === 'parametric') {
+            this.audioProcessor.resetParametricBands(this.editChannel);
+            this.updateParametricControls();
+            this.markEQChanged();
+            return;
+        }
+        
+        this.loadPreset('flat');
+        this.elements.presetSelect.value = 'flat';
+        this.updatePresetControls();
+    }
+    
+    async startCalibration() {
+        const method = this.elements.measureMethod.value;
+        const wasPlaying = await this.prepareMeasurement(method);
+        if (wasPlaying === null) return;
+        
+        const measureTime = parseInt(this.elements.measureTime.value) * 1000;
+        const targetCurve = this.elements.targetCurve.value;
+        const smoothing = this.elements.smoothing.value;
+        const perChannel = this.elements.perChannelCal.checked;
+        const iterative = this.elements.iterativeCal.checked;
+        const parametric = this.elements.correctionType.value === 'parametric';
+        
+        try {
+            this.elements.calibrateBtn.disabled = true;
+            this.elements.calibrateBtn.textContent = 'Calibrating...';
+            
+            const options = {
+                duration: measureTime,
+                targetCurve: targetCurve,
+                smoothing: smoothing,
+                method: method,
+                correctionType: this.elements.correctionType.value,
+                parametric: {
+                    filters: parseInt(this.elements.peqFilterCount.value) || 8,
+                    shelves: this.elements.peqShelves.checked,
+                    minQ: parseFloat(this.elements.peqMinQ.value) || 0.5,
+                    maxQ: parseFloat(this.elements.peqMaxQ.value) || 6
+                }
+            };
+            
+            // Apply corrections
+            if (iterative && parametric) {
+                throw new Error('Iterative refinement adjusts the graphic bands, choose the graphic correction type');
+            }
+            if (iterative) {
+                const converged = await this.runIterativeCalibration(options, perChannel);
+                this.markEQChanged();
+                this.updateMeasurementExport();
+                this.showSuccess(converged
+                    ? 'Calibration reached the target tolerance'
+                    : 'Calibration stopped at the pass limit before reaching the tolerance');
+                return;
+            }
+            
+            if (parametric) {
+                const bands = perChannel
+                    ? await this.calibration.calibrateChannels(options)
+                    : await this.calibration.calibrate(options);
+                this.applyParametricCorrections(bands, perChannel);
+            } else if (perChannel) {
+                const corrections = await this.calibration.calibrateChannels(options);
+                this.audioProcessor.setChannelLink(false);
+                for (const channel of this.audioProcessor.channels) {
+                    this.audioProcessor.setAllGains(corrections[channel], channel);
+                }
+                this.updateChannelControls();
+                this.refreshEQDisplay();
+            } else {
+                const corrections = await this.calibration.calibrate(options);
+                this.updateEQSliders(corrections, 'both');
+            }
+            this.markEQChanged();
+            
+            if (method === 'sweep') {
+                this.showSuccess(`Calibration completed successfully! ${this.describeImpulseResponse(this.calibration.lastImpulseResponse)}`);
+            } else if (method === 'music') {
+                this.showSuccess(`Calibration completed successfully! ${this.describeTransferFunction(this.calibration.lastTransferFunction)}`);
+            } else {
+                this.showSuccess('Calibration completed successfully!');
+            }
+            
+            this.updateMeasurementExport();
+            
+        } catch (error) {
+            console.error('Calibration failed:', error);
+            this.showError('Calibration failed: ' + error.message);
+        } finally {
+            await this.finishMeasurement(method, wasPlaying);
+            this.elements.calibrateBtn.disabled = false;
+            this.elements.calibrateBtn.textContent = 'Start Calibration';
+        }
+    }
+    
+    // Fitted bands replace the parametric EQ; bands is a list, or { left, right } per channel
+    applyParametricCorrections(bands, perChannel) {
+        if (perChannel) {
+            this.audioProcessor.setChannelLink(false);
+            for (const channel of this.audioProcessor.channels) {
+                this.audioProcessor.setParametricBands(bands[channel], channel);
+            }
+        } else {
+            this.audioProcessor.setParametricBands(bands, 'both');
+        }
+        
+        this.elements.eqType.value = 'parametric';
+        this.changeEQType('parametric');
+        this.updateChannelControls();
+        this.refreshEQDisplay();
+    }
+    
+    updateCorrectionProfile(save = true) {
+        this.calibration.setCorrectionProfile(this.readCorrectionProfile());
+        this.updateEQResponseOverlays();
+        if (save) {
+            this.saveSettings();
+        }
+    }
+    
+    readCorrectionProfile() {
+        const el = this.elements;
+        const number = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return isFinite(value) ? value : fallback;
+        };
+        const range = (minInput, maxInput, fallback) => {
+            const low = number(minInput, fallback[0]);
+            const high = number(maxInput, fallback[1]);
+            return low < high ? [low, high] : fallback;
+        };
+        const [minFreq, maxFreq] = range(el.correctRangeMin, el.correctRangeMax, [20, 20000]);
+        
+        return {
+            solver: el.correctionSolver.value,
+            maxBoost: Math.max(0, number(el.maxBoost, 10)),
+            maxCut: Math.max(0, number(el.maxCut, 10)),
+            strength: Math.max(0.1, Math.min(1, number(el.correctionStrength, 70) / 100)),
+            minFreq: minFreq,
+            maxFreq: maxFreq,
+            peaksOnly: el.peaksOnly.checked,
+            transitionFreq: number(el.transitionFreq, 300),
+            normalization: el.normalization.value,
+            referenceBand: range(el.referenceBandMin, el.referenceBandMax, [500, 2000])
+        };
+    }
+    
+    setCorrectionProfileInputs(profile) {
+        const el = this.elements;
+        const set = (input, value) => {
+            if (value !== undefined && value !== null) input.value = value;
+        };
+        
+        set(el.correctionSolver, profile.solver);
+        set(el.maxBoost, profile.maxBoost);
+        set(el.maxCut, profile.maxCut);
+        set(el.correctionStrength, profile.strength !== undefined ? Math.round(profile.strength * 100) : undefined);
+        set(el.correctRangeMin, profile.minFreq);
+        set(el.correctRangeMax, profile.maxFreq);
+        el.peaksOnly.checked = profile.peaksOnly || false;
+        set(el.transitionFreq, profile.transitionFreq);
+        set(el.normalization, profile.normalization);
+        if (profile.referenceBand) {
+            [el.referenceBandMin.value, el.referenceBandMax.value] = profile.referenceBand;
+        }
+    }
+    
+    // Returns true when every channel ended within tolerance
+    async runIterativeCalibration(options, perChannel) {
+        // Refinement adjusts the graphic bands, so those have to be the ones playing
+        if (this.audioProcessor.eqType !== 'graphic') {
+            this.elements.eqType.value = 'graphic';
+            this.changeEQType('graphic');
+        }
+        
+        const channels = perChannel ? this.audioProcessor.channels : [null];
+        if (perChannel) {
+            this.audioProcessor.setChannelLink(false);
+            this.updateChannelControls();
+        }
+        
+        this.elements.iterationReport.innerHTML = '';
+        let converged = true;
+        
+        for (const channel of channels) {
+            const result = await this.calibration.calibrateIterative({
+                ...options,
+                channel: channel,
+                tolerance: parseFloat(this.elements.calTolerance.value) || 2,
+                maxPasses: parseInt(this.elements.calMaxPasses.value) || 4,
+                minFreq: parseFloat(this.elements.calRangeMin.value) || 100,
+                maxFreq: parseFloat(this.elements.calRangeMax.value) || 10000,
+                onPass: (report) => {
+                    this.addIterationReport(channel, report);
+                    this.refreshEQDisplay();
+                }
+            });
+            converged = converged && result.converged;
+        }
+        
+        this.refreshEQDisplay();
+        return converged;
+    }
+    
+    addIterationReport(channel, report) {
+        const item = document.createElement('li');
+        item.classList.toggle('converged', report.converged);
+        
+        const label = document.createElement('span');
+        const side = channel ? `${channel === 'left' ? 'Left' : 'Right'} - ` : '';
+        label.textContent = `${side}Pass ${report.pass}`;
+        
+        const error = document.createElement('span');
+        error.textContent = `±${report.maxError.toFixed(1)} dB max, ${report.rmsError.toFixed(1)} dB RMS${report.converged ? ' ✓' : ''}`;
+        
+        item.appendChild(label);
+        item.appendChild(error);
+        this.elements.iterationReport.appendChild(item);
+    }
+    
+    // Returns the previous playing state, or null if the measurement cannot start
+    async prepareMeasurement(method) {
+        // Music measurements need a track; test signals are generated internally
+        if (method === 'music' && !this.currentAudio.src) {
+            this.showError('Please select an audio file first');
+            return null;
+        }
+        
+        // Auto-play if not playing
+        const wasPlaying = this.isPlaying;
+        if (method === 'music' && !this.isPlaying) {
+            await this.play();
+            // Wait a bit for audio to stabilize
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        
+        return wasPlaying;
+    }
+    
+    async finishMeasurement(method, wasPlaying) {
+        // If we auto-played, pause again
+        if (method === 'music' && !wasPlaying && this.isPlaying) {
+            await this.pause();
+        }
+    }
+    
+    populateTargetCurves() {
+        const select = this.elements.targetCurve;
+        const current = select.value;
+        
+        // Drop previously listed custom targets, keep the built-ins
+        select.querySelectorAll('option[value^="custom:"]').forEach(option => option.remove());
+        
+        for (const name of this.calibration.getCustomTargetNames()) {
+            const option = document.createElement('option');
+            option.value = `custom:${name}`;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        
+        select.value = current;
+        if (!select.value) {
+            select.value = 'flat';
+        }
+        this.updateEQResponseOverlays();
+    }
+    
+    openTargetEditor() {
+        const editorSelect = this.elements.targetEditorSelect;
+        editorSelect.innerHTML = '<option value="">New target</option>';
+        for (const name of this.calibration.getCustomTargetNames()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            editorSelect.appendChild(option);
+        }
+        
+        // Start from the selected target if it is a custom one
+        const selected = this.elements.targetCurve.value;
+        editorSelect.value = selected.startsWith('custom:') ? selected.slice('custom:'.length) : '';
+        
+        this.elements.targetEditorModal.style.display = 'flex';
+        this.targetEditor.resize();
+        this.loadTargetIntoEditor(editorSelect.value);
+    }
+    
+    closeTargetEditor() {
+        this.elements.targetEditorModal.style.display = 'none';
+    }
+    
+    loadTargetIntoEditor(name) {
+        const target = name && this.calibration.customTargets[name]
+            ? this.calibration.customTargets[name]
+            : this.calibration.createEmptyTarget();
             
-            await this.elements.audioElement.play();
-            this.isPlaying = true;
-            this.elements.playIcon.style.display = 'none';
-            this.elements.pauseIcon.style.display = 'block';
-            this.spectrumAnalyzer.start();
+        this.elements.targetName.value = name || '';
+        this.targetEditor.setTarget(target);
+        this.updateTargetShapeControls(this.targetEditor.getTarget());
+    }
+    
+    updateTargetShapeControls(target) {
+        const { bassShelf, trebleTilt } = target;
+        this.elements.bassShelfGain.value = bassShelf.gain;
+        this.elements.bassShelfFreq.value = bassShelf.frequency;
+        this.elements.trebleTiltSlope.value = trebleTilt.slope;
+        this.elements.trebleTiltFreq.value = trebleTilt.frequency;
+        
+        document.getElementById('bassShelfGainValue').textContent = `${bassShelf.gain > 0 ? '+' : ''}${bassShelf.gain} dB`;
+        document.getElementById('bassShelfFreqValue').textContent = `${bassShelf.frequency} Hz`;
+        document.getElementById('trebleTiltSlopeValue').textContent = `${trebleTilt.slope} dB/oct`;
+        document.getElementById('trebleTiltFreqValue').textContent = `${trebleTilt.frequency} Hz`;
+    }
+    
+    saveTarget() {
+        const name = this.elements.targetName.value.trim();
+        if (!name) {
+            this.showError('Please enter a name for the target curve');
+            return;
+        }
+        
+        this.calibration.saveCustomTarget(name, this.targetEditor.getTarget());
+        this.populateTargetCurves();
+        this.elements.targetCurve.value = `custom:${name}`;
+        this.saveSettings();
+        this.openTargetEditor();
+        this.showSuccess(`Saved target "${name}"`);
+    }
+    
+    deleteTarget() {
+        const name = this.elements.targetEditorSelect.value;
+        if (!name || !confirm(`Delete target "${name}"?`)) return;
+        
+        this.calibration.deleteCustomTarget(name);
+        this.populateTargetCurves();
+        this.saveSettings();
+        this.openTargetEditor();
+    }
+    
+    async importTarget(file) {
+        if (!file) return;
+        
+        try {
+            const target = this.calibration.parseTargetText(await file.text());
+            this.elements.targetEditorSelect.value = '';
+            this.elements.targetName.value = file.name.replace(/\.[^/.]+$/, '');
+            this.targetEditor.setTarget(target);
+            this.updateTargetShapeControls(target);
         } catch (error) {
-            console.error('Playback failed:', error);
-            this.showError('Failed to play audio');
+            console.error('Target import failed:', error);
+            this.showError('Import failed: ' + error.message);
         }
     }
     
-    async pause() {
-        this.elements.audioElement.pause();
+    exportTarget() {
+        const name = this.elements.targetName.value.trim() || 'target';
+        const text = this.calibration.formatTargetText(this.targetEditor.getTarget(), name);
+        this.downloadFile(new Blob([text], { type: 'text/plain' }), `${name}.txt`);
+    }
+    
+    populateMicCalibrations() {
+        const select = this.elements.micCalibration;
+        select.innerHTML = '<option value="">None</option>';
         
-        // Suspend audio context to prevent stuck audio
-        await this.audioProcessor.suspend();
+        for (const name of this.calibration.getMicCalibrationNames()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
         
-        this.isPlaying = false;
-        this.elements.playIcon.style.display = 'block';
-        this.elements.pauseIcon.style.display = 'none';
-        this.spectrumAnalyzer.stop();
+        select.value = this.calibration.activeMicCalibration || '';
     }
     
-    updateProgress() {
-        const current = this.elements.audioElement.currentTime;
-        const duration = this.elements.audioElement.duration;
+    async importMicCalibration(file) {
+        if (!file) return;
         
-        if (duration) {
-            const progress = (current / duration) * 100;
-            this.elements.progressBar.value = progress;
-            this.elements.currentTime.textContent = this.formatTime(current);
+        const name = prompt('Name for this microphone profile:', file.name.replace(/\.[^/.]+$/, ''));
+        if (!name) return;
+        
+        try {
+            const text = await file.text();
+            const calibration = this.calibration.importMicCalibration(name, text);
+            this.calibration.setMicCalibration(name);
+            this.populateMicCalibrations();
+            this.saveSettings();
+            
+            const sensitivity = calibration.sensitivity !== null ? `, sensitivity ${calibration.sensitivity} dB` : '';
+            this.showSuccess(`Loaded "${name}" (${calibration.points.length} points${sensitivity})`);
+        } catch (error) {
+            console.error('Mic calibration import failed:', error);
+            this.showError('Import failed: ' + error.message);
         }
     }
     
-    updateDuration() {
-        const duration = this.elements.audioElement.duration;
-        if (duration) {
-            this.elements.duration.textContent = this.formatTime(duration);
+    deleteMicCalibration() {
+        const name = this.elements.micCalibration.value;
+        if (!name || !confirm(`Delete microphone profile "${name}"?`)) return;
+        
+        this.calibration.deleteMicCalibration(name);
+        this.populateMicCalibrations();
+        this.saveSettings();
+    }
+    
+    async measureSessionPosition() {
+        const method = this.elements.measureMethod.value;
+        const wasPlaying = await this.prepareMeasurement(method);
+        if (wasPlaying === null) return;
+        
+        const label = this.elements.positionLabel.value.trim();
+        const weight = parseFloat(this.elements.positionWeight.value);
+        
+        try {
+            this.elements.measurePositionBtn.disabled = true;
+            
+            const position = await this.calibration.measurePosition(label, isNaN(weight) ? 1 : weight, {
+                duration: parseInt(this.elements.measureTime.value) * 1000,
+                method: method
+            });
+            
+            this.elements.positionLabel.value = '';
+            this.renderSessionPositions();
+            this.showSuccess(`Measured "${position.label}" - move the microphone to the next position`);
+            
+        } catch (error) {
+            console.error('Position measurement failed:', error);
+            this.showError('Measurement failed: ' + error.message);
+        } finally {
+            await this.finishMeasurement(method, wasPlaying);
+            this.elements.measurePositionBtn.disabled = false;
         }
     }
     
-    seekTo(percentage) {
-        const duration = this.elements.audioElement.duration;
-        if (duration) {
-            const time = (percentage / 100) * duration;
-            this.elements.audioElement.currentTime = time;
+    renderSessionPositions() {
+        const positions = this.calibration.session ? this.calibration.session.positions : [];
+        this.elements.sessionPositions.innerHTML = '';
+        
+        positions.forEach((position, index) => {
+            const item = document.createElement('li');
+            
+            const label = document.createElement('span');
+            label.textContent = position.label;
+            
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.min = '0';
+            weight.max = '10';
+            weight.step = '0.1';
+            weight.value = position.weight;
+            weight.setAttribute('aria-label', `Weight for ${position.label}`);
+            weight.addEventListener('change', (e) => {
+                this.calibration.setPositionWeight(index, parseFloat(e.target.value) || 0);
+            });
+            
+            const remove = document.createElement('button');
+            remove.className = 'small-btn';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                this.calibration.removePosition(index);
+                this.renderSessionPositions();
+            });
+            
+            item.appendChild(label);
+            item.appendChild(weight);
+            item.appendChild(remove);
+            this.elements.sessionPositions.appendChild(item);
+        });
+        
+        this.elements.applySessionBtn.disabled = positions.length === 0;
+    }
+    
+    applySession() {
+        try {
+            const corrections = this.calibration.calculateSessionCorrections(
+                this.elements.targetCurve.value,
+                this.elements.smoothing.value
+            );
+            
+            this.updateEQSliders(corrections, 'both');
+            this.markEQChanged();
+            this.updateMeasurementExport();
+            
+            const count = this.calibration.session.positions.length;
+            this.showSuccess(`Applied corrections from ${count} position${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Session calibration failed:', error);
+            this.showError('Calibration failed: ' + error.message);
         }
     }
     
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    async importMeasurement(file) {
+        if (!file) return;
+        
+        try {
+            this.calibration.importMeasurement(await file.text(), file.name);
+            this.updateMeasurementExport();
+            this.openMeasurementPreview();
+        } catch (error) {
+            console.error('Measurement import failed:', error);
+            this.showError('Import failed: ' + error.message);
+        }
     }
     
-    handleTrackEnd() {
-        this.isPlaying = false;
-        this.elements.playIcon.style.display = 'block';
-        this.elements.pauseIcon.style.display = 'none';
-        this.elements.progressBar.value = 0;
-        this.elements.currentTime.textContent = '0:00';
-        this.spectrumAnalyzer.stop();
+    openMeasurementPreview() {
+        this.elements.previewChannel.value = this.audioProcessor.channelLink ? 'both' : this.editChannel;
+        this.elements.measurementPreviewModal.style.display = 'flex';
+        this.previewGraph.resize();
+        this.updateMeasurementPreview();
     }
     
-    loadPreset(presetName) {
-        const preset = this.audioProcessor.loadPreset(presetName);
-        if (preset) {
-            this.updateEQSliders(preset);
+    closeMeasurementPreview() {
+        this.elements.measurementPreviewModal.style.display = 'none';
+    }
+    
+    updateMeasurementPreview() {
+        // Same target and smoothing as a live calibration
+        const targetCurve = this.elements.targetCurve.value;
+        const smoothing = this.elements.smoothing.value;
+        const measurement = this.calibration.importedMeasurement;
+        
+        this.previewCorrections = this.calibration.calculateImportedCorrections(targetCurve, smoothing);
+        const preview = this.calibration.predictImportedResponse(this.previewCorrections, targetCurve, smoothing);
+        const { frequencies, measured, target, predicted } = preview;
+        
+        // Fit the level axis to the curves
+        const levels = [...measured, ...target, ...predicted];
+        const graph = this.previewGraph;
+        graph.setDbRange(Math.floor(Math.min(...levels) / 5) * 5 - 5, Math.ceil(Math.max(...levels) / 5) * 5 + 5);
+        graph.clear();
+        graph.drawGrid();
+        graph.drawCurve(frequencies, measured, '#ffa116', 1.5);
+        graph.drawCurve(frequencies, target, '#1db954', 2, true);
+        graph.drawCurve(frequencies, predicted, '#4fc3f7', 2);
+        graph.drawLegend([['Measured', '#ffa116'], ['Target', '#1db954'], ['Predicted', '#4fc3f7']]);
+        
+        const range = `${this.formatFrequency(measurement.frequencies[0])}-${this.formatFrequency(measurement.frequencies[measurement.frequencies.length - 1])} Hz`;
+        const targetName = this.elements.targetCurve.selectedOptions[0].textContent;
+        this.elements.previewInfo.textContent =
+            `${measurement.name}: ${measurement.frequencies.length} points, ${range}. Target: ${targetName}, ${smoothing} octave smoothing.`;
+            
+        // Shape error over the main band, ignoring any overall level offset
+        const errors = [];
+        frequencies.forEach((freq, i) => {
+            if (freq >= 100 && freq <= 10000) {
+                errors.push(predicted[i] - target[i]);
+            }
+        });
+        const mean = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+        const maxError = Math.max(...errors.map(e => Math.abs(e - mean)));
+        const rmsError = Math.sqrt(errors.reduce((sum, e) => sum + (e - mean) * (e - mean), 0) / errors.length);
+        this.elements.previewSummary.textContent =
+            `Predicted deviation from target (100 Hz-10 kHz): ±${maxError.toFixed(1)} dB max, ${rmsError.toFixed(1)} dB RMS`;
+    }
+    
+    applyImportedCorrections() {
+        const channel = this.elements.previewChannel.value;
+        const corrections = this.previewCorrections;
+        
+        if (channel === 'both') {
+            this.updateEQSliders(corrections, 'both');
+        } else {
+            this.audioProcessor.setChannelLink(false);
+            this.audioProcessor.setAllGains(corrections, channel);
+            this.updateChannelControls();
+            this.refreshEQDisplay();
         }
+        this.markEQChanged();
+        this.closeMeasurementPreview();
+        
+        this.showSuccess(`Applied corrections from ${this.calibration.importedMeasurement.name}`);
     }
     
-    updateEQSliders(gains) {
-        const sliders = this.elements.eqBands.querySelectorAll('.eq-slider');
-        sliders.forEach((slider, index) => {
-            if (gains[index] !== undefined) {
-                slider.value = gains[index];
-                const value = document.getElementById(`eq-value-${index}`);
-                value.textContent = `${gains[index] > 0 ? '+' : ''}${gains[index]} dB`;
-                this.audioProcessor.setFilterGain(index, gains[index]);
+    describeImpulseResponse(result) {
+        // Summarize distortion at 1 kHz, where the sweep is well above the noise
+        let index = 0;
+        result.frequencies.forEach((freq, i) => {
+            if (Math.abs(freq - 1000) < Math.abs(result.frequencies[index] - 1000)) {
+                index = i;
             }
         });
+        return `THD @ 1 kHz: ${result.thd[index].toFixed(2)}%`;
     }
     
-    resetEQ() {
-        this.loadPreset('flat');
-        this.elements.presetSelect.value = 'flat';
+    describeTransferFunction(result) {
+        const delay = (result.delay * 1000).toFixed(1);
+        const coherent = Math.round(result.coherentFraction * 100);
+        return `Playback-to-mic delay ${delay} ms, ${coherent}% of the spectrum usable`;
     }
     
-    async startCalibration() {
-        // Check if audio file is loaded
-        if (!this.elements.audioElement.src) {
-            this.showError('Please select an audio file first');
+    buildFir() {
+        try {
+            const { frequencies, correction } = this.calibration.firCorrection(
+                this.elements.targetCurve.value,
+                this.elements.smoothing.value
+            );
+            this.audioProcessor.setFirCorrection({
+                frequencies,
+                correction,
+                taps: parseInt(this.elements.firTaps.value),
+                phase: this.elements.firPhase.value,
+                window: this.elements.firWindow.value
+            }, this.editChannel);
+            
+            // A freshly built filter should be heard
+            if (this.audioProcessor.firMode === 'off') {
+                this.elements.firMode.value = 'add';
+                this.audioProcessor.setFirMode('add');
+            }
+            
+            this.updateFirInfo();
+            this.saveSettings();
+            this.showSuccess(`FIR correction built, ${(this.audioProcessor.getFirLatency() * 1000).toFixed(1)} ms latency`);
+        } catch (error) {
+            console.error('FIR build failed:', error);
+            this.showError('FIR build failed: ' + error.message);
+        }
+    }
+    
+    exportFir() {
+        const date = new Date().toISOString().slice(0, 10);
+        
+        try {
+            this.downloadFile(this.audioProcessor.exportFirWav(), `car-eq-fir-${date}.wav`);
+        } catch (error) {
+            console.error('FIR export failed:', error);
+            this.showError('FIR export failed: ' + error.message);
+        }
+    }
+    
+    clearFir() {
+        this.audioProcessor.clearFirCorrection();
+        this.updateFirInfo();
+        this.saveSettings();
+    }
+    
+    updateFirInfo() {
+        const designs = this.audioProcessor.firDesigns;
+        const built = this.audioProcessor.channels.filter(channel => designs[channel]);
+        this.elements.exportFirBtn.disabled = built.length === 0;
+        this.elements.clearFirBtn.disabled = built.length === 0;
+        
+        if (built.length === 0) {
+            this.elements.firInfo.textContent = '';
             return;
         }
         
-        // Auto-play if not playing
-        let wasPlaying = this.isPlaying;
-        if (!this.isPlaying) {
-            await this.play();
-            // Wait a bit for audio to stabilize
-            await new Promise(resolve => setTimeout(resolve, 500));
+        const describe = (channel) => `${designs[channel].taps} taps, ${designs[channel].phase} phase`;
+        const shared = built.length === this.audioProcessor.channels.length && new Set(built.map(describe)).size === 1;
+        const filters = shared
+            ? `${describe(built[0])}, both channels`
+            : built.map(channel => `${channel}: ${describe(channel)}`).join('; ');
+        const state = this.audioProcessor.isFirActive()
+            ? `${(this.audioProcessor.getFirLatency() * 1000).toFixed(1)} ms latency`
+            : 'not in use';
+        this.elements.firInfo.textContent = `${filters} - ${state}`;
+    }
+    
+    updateMeasurementExport() {
+        const hasResponse = this.calibration.lastResponse !== null;
+        const hasImpulse = this.calibration.lastImpulseResponse !== null;
+        
+        this.elements.measurementExport.style.display = hasResponse || hasImpulse ? 'flex' : 'none';
+        this.elements.exportIrBtn.style.display = hasImpulse ? '' : 'none';
+        this.elements.exportFrdBtn.disabled = !hasResponse;
+        this.elements.exportRewBtn.disabled = !hasResponse;
+        this.updateEQResponseOverlays();
+    }
+    
+    exportMeasurement(format) {
+        const date = new Date().toISOString().slice(0, 10);
+        
+        try {
+            if (format === 'wav') {
+                this.downloadFile(this.calibration.exportImpulseResponse(), `impulse-response-${date}.wav`);
+            } else {
+                const text = this.calibration.exportFrequencyResponse(format);
+                this.downloadFile(new Blob([text], { type: 'text/plain' }), `measurement-${date}.${format}`);
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showError('Export failed: ' + error.message);
         }
+    }
+    
+    exportEQ(format) {
+        const date = new Date().toISOString().slice(0, 10);
+        // Single-channel formats name the channel when L/R differ
+        const suffix = this.audioProcessor.channelLink ? '' : ` ${this.editChannel}`;
+        const filenames = {
+            apo: `car-eq-apo-${date}.txt`,
+            autoeq: `Car EQ${suffix} ParametricEQ.txt`,
+            graphiceq: `Car EQ${suffix} GraphicEQ.txt`,
+            csv: `car-eq-${date}.csv`
+        };
         
-        const measureTime = parseInt(this.elements.measureTime.value) * 1000;
-        const targetCurve = this.elements.targetCurve.value;
-        const smoothing = this.elements.smoothing.value;
+        try {
+            const text = this.audioProcessor.exportEQ(format, this.editChannel);
+            const type = format === 'csv' ? 'text/csv' : 'text/plain';
+            this.downloadFile(new Blob([text], { type: type }), filenames[format]);
+        } catch (error) {
+            console.error('EQ export failed:', error);
+            this.showError('EQ export failed: ' + error.message);
+        }
+    }
+    
+    async importEQ(file) {
+        if (!file) return;
         
         try {
-            this.elements.calibrateBtn.disabled = true;
-            this.elements.calibrateBtn.textContent = 'Calibrating...';
-            
-            const corrections = await this.calibration.calibrate({
-                duration: measureTime,
-                targetCurve: targetCurve,
-                smoothing: smoothing,
-                useTestSignal: false // Use currently playing music
-            });
+            const parsed = FileFormats.parseEqualizerAPO(await file.text());
             
-            // Apply corrections
-            this.updateEQSliders(corrections);
-            this.elements.presetSelect.value = 'custom';
+            // Let the user decide before anything is skipped
+            const skipped = parsed.unsupported;
+            if (skipped.length > 0) {
+                const listed = skipped.slice(0, 10).join('\n') + (skipped.length > 10 ? `\n...and ${skipped.length - 10} more` : '');
+                if (!confirm(`These entries can't be reproduced and will be skipped:\n\n${listed}\n\nImport the rest?`)) return;
+            }
             
-            this.showSuccess('Calibration completed successfully!');
+            const result = this.audioProcessor.importEQ(parsed);
+            this.refreshEQState(this.audioProcessor.getEQState());
+            this.refreshEQDisplay();
+            this.markEQChanged();
             
-            // If we auto-played, pause again
-            if (!wasPlaying) {
-                await this.pause();
+            const details = [...result.notes];
+            if (skipped.length > 0) {
+                details.push(`${skipped.length} unsupported entr${skipped.length === 1 ? 'y' : 'ies'} skipped`);
             }
-            
+            const mode = result.eqType === 'graphic' ? 'graphic EQ' : 'parametric EQ';
+            this.showSuccess(`Imported ${file.name} as ${mode}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
         } catch (error) {
-            console.error('Calibration failed:', error);
-            this.showError('Calibration failed: ' + error.message);
-        } finally {
-            this.elements.calibrateBtn.disabled = false;
-            this.elements.calibrateBtn.textContent = 'Start Calibration';
+            console.error('EQ import failed:', error);
+            this.showError('Import failed: ' + error.message);
         }
     }
     
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
     toggleAdvancedOptions() {
         const isVisible = this.elements.advancedOptions.style.display === 'block';
         this.elements.advancedOptions.style.display = isVisible ? 'none' : 'block';
@@ -449,11 +2642,49 @@ class CarAudioEQApp {
     }
     
     changeEQType(type) {
-        // This would switch between graphic and parametric EQ
-        // For now, we'll just show a message
-        if (type === 'parametric') {
-            this.showError('Parametric EQ coming soon!');
-            this.elements.eqType.value = 'graphic';
+        // Both modes keep their own filters, so switching never loses settings
+        this.audioProcessor.setEQType(type);
+        
+        const isParametric = type === 'parametric';
+        this.updateEQTitle();
+        this.elements.eqBands.style.display = isParametric ? 'none' : '';
+        this.elements.parametricBands.style.display = isParametric ? '' : 'none';
+        
+        // Built-in presets are graphic EQ curves; user presets carry their own EQ type
+        this.elements.builtinPresets.disabled = isParametric;
+        this.drawEQResponse();
+    }
+    
+    updateEQTitle() {
+        if (this.audioProcessor.eqType === 'parametric') {
+            const count = this.audioProcessor.getParametricBands(this.editChannel).length;
+            this.elements.eqTitle.textContent = `${count}-Band Parametric EQ`;
+        } else {
+            this.elements.eqTitle.textContent = '31-Band Equalizer';
+        }
+    }
+    
+    updateSpectrumSettings(save = true) {
+        const analyzer = this.spectrumAnalyzer;
+        analyzer.setSmoothing(this.elements.spectrumSmoothing.value);
+        analyzer.setColorScale(this.elements.spectrogramColors.value);
+        
+        const history = parseInt(this.elements.spectrogramHistory.value);
+        if (history !== analyzer.historyLength) {
+            analyzer.setHistoryLength(history);
+        }
+        
+        try {
+            analyzer.setDbRange(parseFloat(this.elements.spectrumMinDb.value), parseFloat(this.elements.spectrumMaxDb.value));
+        } catch (error) {
+            this.showError(error.message);
+            this.elements.spectrumMinDb.value = analyzer.graph.minDb;
+            this.elements.spectrumMaxDb.value = analyzer.graph.maxDb;
+            return;
+        }
+        
+        if (save) {
+            this.saveSettings();
         }
     }
     
@@ -466,13 +2697,51 @@ class CarAudioEQApp {
     saveSettings() {
         const settings = {
             eqType: this.elements.eqType.value,
+            preset: this.elements.presetSelect.value,
             crossfade: this.elements.crossfadeEnabled.checked,
+            crossfadeDuration: parseInt(this.elements.crossfadeDuration.value),
+            shuffle: this.playlist.shuffle,
+            repeat: this.playlist.repeat,
             limiter: this.elements.limiterEnabled.checked,
             batterySaver: this.elements.batterySaver.checked,
+            spectrumSmoothing: this.elements.spectrumSmoothing.value,
+            spectrumRange: [parseFloat(this.elements.spectrumMinDb.value), parseFloat(this.elements.spectrumMaxDb.value)],
+            spectrogramHistory: parseInt(this.elements.spectrogramHistory.value),
+            spectrogramColors: this.elements.spectrogramColors.value,
+            renderFormat: parseInt(this.elements.renderFormat.value),
             targetCurve: this.elements.targetCurve.value,
-            smoothing: this.elements.smoothing.value
+            smoothing: this.elements.smoothing.value,
+            eqShowTarget: this.elements.eqShowTarget.checked,
+            eqShowMeasurement: this.elements.eqShowMeasurement.checked,
+            correctionProfile: this.readCorrectionProfile(),
+            correctionType: this.elements.correctionType.value,
+            peqFilterCount: parseInt(this.elements.peqFilterCount.value),
+            peqQRange: [parseFloat(this.elements.peqMinQ.value), parseFloat(this.elements.peqMaxQ.value)],
+            peqShelves: this.elements.peqShelves.checked,
+            measureMethod: this.elements.measureMethod.value,
+            perChannelCal: this.elements.perChannelCal.checked,
+            iterativeCal: this.elements.iterativeCal.checked,
+            calTolerance: parseFloat(this.elements.calTolerance.value),
+            calMaxPasses: parseInt(this.elements.calMaxPasses.value),
+            calRange: [parseFloat(this.elements.calRangeMin.value), parseFloat(this.elements.calRangeMax.value)],
+            firPhase: this.elements.firPhase.value,
+            firTaps: parseInt(this.elements.firTaps.value),
+            firWindow: this.elements.firWindow.value,
+            micCalibration: this.elements.micCalibration.value
         };
         
+        if (this.audioProcessor && this.audioProcessor.context) {
+            const state = this.audioProcessor.getEQState();
+            settings.channelLink = state.channelLink;
+            settings.preamp = state.preamp;
+            settings.graphicGains = state.graphicGains;
+            settings.parametricBands = state.parametricBands;
+            settings.delays = this.audioProcessor.getChannelDelays();
+            settings.distances = this.getDistanceInputs();
+            settings.crossover = this.audioProcessor.getCrossover();
+            settings.fir = this.audioProcessor.getFirState();
+        }
+        
         localStorage.setItem('carAudioEQSettings', JSON.stringify(settings));
     }
     
@@ -483,16 +2752,124 @@ class CarAudioEQApp {
                 const settings = JSON.parse(saved);
                 this.elements.eqType.value = settings.eqType || 'graphic';
                 this.elements.crossfadeEnabled.checked = settings.crossfade || false;
+                this.elements.crossfadeDuration.value = settings.crossfadeDuration || 5;
+                this.elements.crossfadeDurationValue.textContent = `${this.elements.crossfadeDuration.value}s`;
+                this.playlist.shuffle = settings.shuffle || false;
+                this.playlist.repeat = settings.repeat || 'off';
+                this.updateQueueControls();
                 this.elements.limiterEnabled.checked = settings.limiter !== false;
                 this.elements.batterySaver.checked = settings.batterySaver || false;
+                this.elements.renderFormat.value = settings.renderFormat || 16;
+                this.elements.spectrumSmoothing.value = settings.spectrumSmoothing || '';
+                [this.elements.spectrumMinDb.value, this.elements.spectrumMaxDb.value] = settings.spectrumRange || [-90, 0];
+                this.elements.spectrogramHistory.value = settings.spectrogramHistory || 10;
+                this.elements.spectrogramColors.value = settings.spectrogramColors || 'heat';
                 this.elements.targetCurve.value = settings.targetCurve || 'flat';
+                if (!this.elements.targetCurve.value) {
+                    // Saved target no longer exists
+                    this.elements.targetCurve.value = 'flat';
+                }
                 this.elements.smoothing.value = settings.smoothing || '1/3';
+                this.elements.eqShowTarget.checked = settings.eqShowTarget || false;
+                this.elements.eqShowMeasurement.checked = settings.eqShowMeasurement || false;
+                // Older settings only kept the solver and max boost
+                this.setCorrectionProfileInputs(settings.correctionProfile || {
+                    solver: settings.correctionSolver,
+                    maxBoost: settings.maxBoost
+                });
+                this.elements.correctionType.value = settings.correctionType || 'graphic';
+                this.elements.peqFilterCount.value = settings.peqFilterCount || 8;
+                [this.elements.peqMinQ.value, this.elements.peqMaxQ.value] = settings.peqQRange || [0.5, 6];
+                this.elements.peqShelves.checked = settings.peqShelves !== false;
+                this.elements.measureMethod.value = settings.measureMethod || 'music';
+                this.elements.perChannelCal.checked = settings.perChannelCal || false;
+                this.elements.iterativeCal.checked = settings.iterativeCal || false;
+                this.elements.calTolerance.value = settings.calTolerance || 2;
+                this.elements.calMaxPasses.value = settings.calMaxPasses || 4;
+                [this.elements.calRangeMin.value, this.elements.calRangeMax.value] = settings.calRange || [100, 10000];
+                this.elements.firPhase.value = settings.firPhase || 'linear';
+                this.elements.firTaps.value = settings.firTaps || 16384;
+                this.elements.firWindow.value = settings.firWindow || 'hann';
+                if (this.spectrumAnalyzer) {
+                    this.updateSpectrumSettings(false);
+                }
+                if (this.calibration) {
+                    this.updateCorrectionProfile(false);
+                    this.calibration.setMicCalibration(settings.micCalibration || null);
+                    this.elements.micCalibration.value = this.calibration.activeMicCalibration || '';
+                }
+                this.restoreEQSettings(settings);
             } catch (error) {
                 console.error('Failed to load settings:', error);
             }
         }
     }
     
+    restoreEQSettings(settings) {
+        if (!this.audioProcessor || !this.audioProcessor.context) return;
+        
+        // Older settings stored a single curve shared by both channels
+        const perChannel = (value) => Array.isArray(value) ? { left: value, right: value } : value || {};
+        const graphicGains = perChannel(settings.graphicGains);
+        const parametricBands = perChannel(settings.parametricBands);
+        
+        this.audioProcessor.channelLink = false;
+        for (const channel of this.audioProcessor.channels) {
+            if (Array.isArray(graphicGains[channel])) {
+                this.audioProcessor.setAllGains(graphicGains[channel], channel);
+            }
+            if (Array.isArray(parametricBands[channel])) {
+                this.audioProcessor.setParametricBands(parametricBands[channel], channel);
+            }
+        }
+        this.audioProcessor.channelLink = settings.channelLink !== false;
+        this.audioProcessor.setPreamp(settings.preamp || 0);
+        
+        this.updateChannelControls();
+        this.updatePreampDisplay();
+        this.refreshEQDisplay();
+        
+        if (settings.delays) {
+            this.audioProcessor.setChannelDelays(settings.delays);
+            this.updateDelayInputs(this.audioProcessor.getChannelDelays());
+        }
+        if (settings.distances) {
+            for (const channel of this.audioProcessor.channels) {
+                if (settings.distances[channel] > 0) {
+                    this.elements[`${channel}Distance`].value = settings.distances[channel];
+                }
+            }
+        }
+        
+        if (settings.crossover) {
+            try {
+                this.audioProcessor.setCrossover(settings.crossover);
+            } catch (error) {
+                console.error('Failed to restore crossover:', error);
+            }
+            this.updateCrossoverControls(this.audioProcessor.getCrossover());
+        }
+        
+        if (settings.fir) {
+            try {
+                this.audioProcessor.setFirState(settings.fir);
+            } catch (error) {
+                console.error('Failed to restore FIR correction:', error);
+            }
+            this.elements.firMode.value = this.audioProcessor.firMode;
+            this.updateFirInfo();
+        }
+        
+        this.changeEQType(this.elements.eqType.value);
+        
+        this.elements.presetSelect.value = settings.preset || 'flat';
+        if (!this.elements.presetSelect.value) {
+            // Saved preset was deleted or renamed
+            this.elements.presetSelect.value = 'custom';
+        }
+        this.updatePresetControls();
+    }
+    
     setupPWA() {
         // Register service worker
         if ('serviceWorker' in navigator) {
@@ -3,13 +3,93 @@ class AudioProcessor {
     constructor(audioElement) {
         this.audioElement = audioElement;
         this.context = null;
-        this.source = null;
-        this.filters = [];
+        this.decks = []; // { element, source, gain } for each media element feeding the EQ
         this.analyser = null;
         this.limiter = null;
         this.masterGain = null;
+        this.eqInput = null;
+        this.wetGain = null;
+        this.dryGain = null;
+        this.levelMatchGain = null;
+        this.preampGain = null;
+        this.preamp = 0; // dB, applied to the EQ path only
+        this.preampRange = [-24, 12];
         this.isConnected = false;
         
+        // Stereo processing: every channel has its own filters, optionally linked
+        this.channels = ['left', 'right'];
+        this.channelLink = true;
+        this.splitter = null;
+        this.merger = null;
+        this.outputSplitter = null;
+        this.outputMerger = null;
+        this.channelGains = {};
+        this.soloedChannel = null;
+        
+        // Time alignment: per-channel delay after the EQ
+        this.channelDelays = {};
+        this.delays = { left: 0, right: 0 }; // ms
+        this.maxDelayTime = 0.02; // seconds, covers ~6.8 m of path difference
+        this.speedOfSound = 343; // m/s at 20 °C
+        this.alignmentPresets = this.loadAlignmentPresets();
+        
+        // Crossover and bass management, after the limiter
+        this.crossoverAlignments = ['linkwitz-riley', 'butterworth'];
+        this.crossoverSlopes = [12, 24, 48]; // dB/octave
+        this.crossover = {
+            highPass: { enabled: false, frequency: 80, alignment: 'linkwitz-riley', slope: 24 },
+            sub: { enabled: false, frequency: 80, alignment: 'linkwitz-riley', slope: 24, level: 0, inverted: false },
+            subsonic: { enabled: false, frequency: 25 }
+        };
+        this.crossoverInput = null;
+        this.subsonicFilters = [];
+        this.highPassFilters = { left: [], right: [] };
+        this.subFilters = [];
+        this.subInput = null;
+        this.subGain = null;
+        this.subOutput = null;
+        this.subOutputIndex = null; // dedicated output channel for the sub, if the device has one
+        this.filters = { left: [], right: [] };
+        
+        // A/B comparison and bypass
+        this.abStates = { A: null, B: null };
+        this.activeSlot = null;
+        this.abSwitchTimer = null;
+        this.bypassed = false;
+        this.levelMatch = true;
+        this.levelOffset = 0; // dB applied by level matching
+        this.crossfadeTime = 0.03; // seconds
+        
+        // EQ mode: 'graphic' (31 bands) or 'parametric'
+        this.eqType = 'graphic';
+        this.parametricFilters = { left: [], right: [] };
+        this.parametricBands = { left: [], right: [] };
+        this.parametricTypes = ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass', 'notch'];
+        this.defaultParametricBands = [
+            { type: 'lowshelf', frequency: 80, gain: 0, Q: 0.707 },
+            { type: 'peaking', frequency: 250, gain: 0, Q: 1.0 },
+            { type: 'peaking', frequency: 1000, gain: 0, Q: 1.0 },
+            { type: 'peaking', frequency: 4000, gain: 0, Q: 1.0 },
+            { type: 'highshelf', frequency: 10000, gain: 0, Q: 0.707 }
+        ];
+        this.newParametricBand = { type: 'peaking', frequency: 1000, gain: 0, Q: 1.0 };
+        this.maxParametricBands = 12;
+        
+        // FIR correction after the EQ filters: firMode 'off', 'add' (together with the
+        // filters) or 'replace' (instead of them). firDesigns keeps per channel what the
+        // filter is built from: { frequencies, correction (dB), taps, phase, window }.
+        this.convolver = null;
+        this.dryDelay = null;
+        this.firMode = 'off';
+        this.firModes = ['off', 'add', 'replace'];
+        this.firDesigns = { left: null, right: null };
+        this.firLatency = 0; // seconds
+        this.maxFirTaps = 65536;
+        
+        // Ranges of the EQ controls
+        this.gainRange = [-12, 12];
+        this.qRange = [0.1, 10];
+        
         // 31-band EQ frequencies (ISO standard)
         this.frequencies = [
             20, 25, 31.5, 40, 50, 63, 80, 100, 125, 160,
@@ -28,20 +108,73 @@ class AudioProcessor {
             'car-suv': [5, 5, 4, 3, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 4, 4, 3, 2, 1, 0, -1, -2],
             'car-truck': [6, 6, 5, 4, 3, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 3, 4, 5, 5, 4, 3, 2, 1, 0, -1]
         };
+        
+        // User presets hold a full EQ state (see getEQState), keyed by name
+        this.userPresets = this.loadUserPresets();
     }
     
-    async initialize() {
+    async initialize(context = null) {
         try {
-            // Create audio context
-            this.context = new (window.AudioContext || window.webkitAudioContext)();
+            // Create audio context, or build the chain in a given one (offline rendering)
+            this.context = context || new (window.AudioContext || window.webkitAudioContext)();
             
             // Create analyser for spectrum visualization
             this.analyser = this.context.createAnalyser();
             this.analyser.fftSize = 4096;
             this.analyser.smoothingTimeConstant = 0.8;
             
+            // EQ stage input, wet/dry paths for bypass and level matching gain.
+            // Forcing stereo upmixes mono sources to both channels before the split.
+            this.eqInput = this.createStereoGain();
+            this.splitter = this.context.createChannelSplitter(2);
+            this.merger = this.context.createChannelMerger(2);
+            this.preampGain = this.context.createGain();
+            this.wetGain = this.context.createGain();
+            this.dryGain = this.context.createGain();
+            this.dryGain.gain.value = 0;
+            this.levelMatchGain = this.createStereoGain();
+            
+            // FIR stage between the filters and the preamp; the dry path is delayed by
+            // the FIR latency so bypass stays in time
+            this.convolver = this.context.createConvolver();
+            this.convolver.normalize = false;
+            // Linear phase delays by half the filter, so the longest filter sets the
+            // bypass delay's capacity; at low sample rates that is well over a second
+            this.dryDelay = this.context.createDelay(Math.max(1, this.maxFirTaps / this.context.sampleRate));
+            
+            // Sub gets its own output on multichannel devices: LFE of a 5.1 layout,
+            // otherwise the first channel after left/right
+            const maxChannels = this.context.destination.maxChannelCount;
+            this.subOutputIndex = maxChannels >= 6 ? 3 : maxChannels > 2 ? 2 : null;
+            const outputChannels = maxChannels >= 6 ? 6 : maxChannels > 2 ? 3 : 2;
+            
+            // Per-channel output stage: solo gain for calibration, time alignment delay,
+            // then the crossover high-pass (wired in rebuildCrossover)
+            this.crossoverInput = this.createStereoGain();
+            this.outputSplitter = this.context.createChannelSplitter(2);
+            this.outputMerger = this.context.createChannelMerger(outputChannels);
+            this.channels.forEach((channel, index) => {
+                const gain = this.context.createGain();
+                const delay = this.context.createDelay(this.maxDelayTime);
+                delay.delayTime.value = 0;
+                this.outputSplitter.connect(gain, index);
+                gain.connect(delay);
+                this.channelGains[channel] = gain;
+                this.channelDelays[channel] = delay;
+            });
+            
+            // Mono-summed sub path: level and polarity, then a solo gain
+            this.subInput = this.context.createGain();
+            this.subInput.channelCount = 1;
+            this.subInput.channelCountMode = 'explicit';
+            this.subInput.channelInterpretation = 'speakers';
+            this.subGain = this.context.createGain();
+            this.subOutput = this.context.createGain();
+            this.subGain.connect(this.subOutput);
+            
             // Create filters
             this.createFilters();
+            this.createParametricFilters();
             
             // Create limiter (compressor with high ratio)
             this.limiter = this.context.createDynamicsCompressor();
@@ -55,17 +188,44 @@ class AudioProcessor {
             this.masterGain = this.context.createGain();
             this.masterGain.gain.value = 0.95; // Slight headroom
             
+            // Static part of the graph; sources attach to eqInput.
+            // DynamicsCompressorNode is limited to two channels, so it runs ahead of the crossover.
+            this.eqInput.connect(this.splitter);
+            this.eqInput.connect(this.dryDelay);
+            this.dryDelay.connect(this.dryGain);
+            this.preampGain.connect(this.wetGain);
+            this.wetGain.connect(this.levelMatchGain);
+            this.dryGain.connect(this.levelMatchGain);
+            this.levelMatchGain.connect(this.analyser);
+            this.analyser.connect(this.limiter);
+            this.outputMerger.connect(this.masterGain);
+            this.masterGain.connect(this.context.destination);
+            this.rebuildFilterChain();
+            this.rebuildFirStage();
+            this.rebuildCrossover();
+            
         } catch (error) {
             console.error('Failed to initialize audio processor:', error);
             throw error;
         }
     }
     
-    connectSource() {
-        if (!this.isConnected && this.audioElement.src) {
+    createStereoGain() {
+        const gain = this.context.createGain();
+        gain.channelCount = 2;
+        gain.channelCountMode = 'explicit';
+        gain.channelInterpretation = 'speakers';
+        return gain;
+    }
+    
+    connectSource(element = this.audioElement) {
+        if (!this.getDeck(element) && element.src) {
             try {
-                // Create source from audio element
-                this.source = this.context.createMediaElementSource(this.audioElement);
+                // Create source from audio element, each with its own fade gain
+                const source = this.context.createMediaElementSource(element);
+                const gain = this.context.createGain();
+                source.connect(gain);
+                this.decks.push({ element, source, gain });
                 this.connectAudioGraph();
                 this.isConnected = true;
             } catch (error) {
@@ -74,8 +234,59 @@ class AudioProcessor {
         }
     }
     
+    getDeck(element) {
+        return this.decks.find(deck => deck.element === element) || null;
+    }
+    
+    setDeckGain(element, value) {
+        const deck = this.getDeck(element);
+        if (!deck) return;
+        
+        const now = this.context.currentTime;
+        deck.gain.gain.cancelScheduledValues(now);
+        deck.gain.gain.setValueAtTime(value, now);
+    }
+    
+    // Ramp a deck down to silence, e.g. the tail still sounding under the next track
+    fadeOutDeck(element, duration) {
+        const deck = this.getDeck(element);
+        if (!deck) return;
+        
+        const now = this.context.currentTime;
+        deck.gain.gain.cancelScheduledValues(now);
+        deck.gain.gain.setValueAtTime(deck.gain.gain.value, now);
+        deck.gain.gain.linearRampToValueAtTime(0, now + duration);
+    }
+    
+    crossfadeDecks(fromElement, toElement, duration) {
+        // Equal-power crossfade so the overlap does not dip in loudness
+        const steps = 64;
+        const fadeOut = new Float32Array(steps);
+        const fadeIn = new Float32Array(steps);
+        for (let i = 0; i < steps; i++) {
+            const x = i / (steps - 1) * Math.PI / 2;
+            fadeOut[i] = Math.cos(x);
+            fadeIn[i] = Math.sin(x);
+        }
+        
+        const now = this.context.currentTime;
+        for (const [element, curve] of [[fromElement, fadeOut], [toElement, fadeIn]]) {
+            const deck = this.getDeck(element);
+            if (deck) {
+                deck.gain.gain.cancelScheduledValues(now);
+                deck.gain.gain.setValueCurveAtTime(curve, now, duration);
+            }
+        }
+    }
+    
     createFilters() {
-        this.filters = this.frequencies.map((freq, index) => {
+        for (const channel of this.channels) {
+            this.filters[channel] = this.createGraphicFilters();
+        }
+    }
+    
+    createGraphicFilters() {
+        return this.frequencies.map((freq, index) => {
             const filter = this.context.createBiquadFilter();
             
             if (index === 0) {
@@ -98,57 +309,978 @@ class AudioProcessor {
         });
     }
     
+    createParametricFilters(bands = this.defaultParametricBands) {
+        for (const channel of this.channels) {
+            this.parametricBands[channel] = bands.map(band => ({ ...band }));
+            this.parametricFilters[channel] = this.parametricBands[channel].map(band => {
+                const filter = this.context.createBiquadFilter();
+                this.applyBandToFilter(filter, band);
+                return filter;
+            });
+        }
+    }
+    
+    applyBandToFilter(filter, band, rampTime = 0) {
+        filter.type = band.type;
+        this.setParam(filter.frequency, band.frequency, rampTime);
+        this.setParam(filter.gain, this.bandUsesGain(band.type) ? band.gain : 0, rampTime);
+        
+        // Web Audio interprets lowpass/highpass Q in dB, everything else is linear
+        if (band.type === 'lowpass' || band.type === 'highpass') {
+            this.setParam(filter.Q, 20 * Math.log10(band.Q), rampTime);
+        } else {
+            this.setParam(filter.Q, band.Q, rampTime);
+        }
+    }
+    
+    // Assigning .value reads back at once, even while the context is suspended;
+    // automation would only show up in .value after the audio thread has run.
+    // Pending automation is dropped first so repeated moves do not stack up.
+    setParam(param, value, rampTime = 0) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        if (rampTime > 0 && this.context.state === 'running') {
+            // Exponential approach from where it is now, ~95% there after rampTime
+            param.setValueAtTime(param.value, now);
+            param.setTargetAtTime(value, now, rampTime / 3);
+        } else {
+            param.value = value;
+        }
+    }
+    
+    bandUsesGain(type) {
+        return type === 'peaking' || type === 'lowshelf' || type === 'highshelf';
+    }
+    
+    bandUsesQ(type) {
+        // Shelf filters in Web Audio have a fixed slope and ignore Q
+        return type !== 'lowshelf' && type !== 'highshelf';
+    }
+    
     calculateQ(frequency, index) {
         // Calculate Q value for 1/3 octave bands
         const octaveWidth = 1/3;
         return Math.sqrt(Math.pow(2, octaveWidth)) / (Math.pow(2, octaveWidth) - 1);
     }
     
+    getActiveFilters(channel = 'left') {
+        return this.eqType === 'parametric' ? this.parametricFilters[channel] : this.filters[channel];
+    }
+    
+    // Channels an edit applies to: both while linked, otherwise just the one given
+    getTargetChannels(channel = 'left') {
+        return this.channelLink || channel === 'both' ? this.channels : [channel];
+    }
+    
+    rebuildFilterChain() {
+        // splitter -> active filters per channel -> merger; the dry path is wired once in initialize()
+        this.splitter.disconnect();
+        for (const channel of this.channels) {
+            for (const filter of [...this.filters[channel], ...this.parametricFilters[channel]]) {
+                filter.disconnect();
+            }
+        }
+        
+        this.channels.forEach((channel, index) => {
+            const filters = this.firReplacesFilters() ? [] : this.getActiveFilters(channel);
+            if (filters.length === 0) {
+                this.splitter.connect(this.merger, index, index);
+                return;
+            }
+            
+            this.splitter.connect(filters[0], index);
+            for (let i = 1; i < filters.length; i++) {
+                filters[i - 1].connect(filters[i]);
+            }
+            filters[filters.length - 1].connect(this.merger, 0, index);
+        });
+    }
+    
+    // merger -> convolver -> preamp while an FIR is in use, otherwise merger -> preamp
+    rebuildFirStage() {
+        this.merger.disconnect();
+        this.convolver.disconnect();
+        
+        const active = this.isFirActive();
+        if (active) {
+            this.merger.connect(this.convolver);
+            this.convolver.connect(this.preampGain);
+        } else {
+            this.merger.connect(this.preampGain);
+        }
+        this.dryDelay.delayTime.value = active ? this.firLatency : 0;
+    }
+    
+    isFirActive() {
+        return this.firMode !== 'off' && this.convolver.buffer !== null;
+    }
+    
+    firReplacesFilters() {
+        return this.firMode === 'replace' && this.isFirActive();
+    }
+    
+    setFirMode(mode) {
+        if (!this.firModes.includes(mode)) {
+            throw new Error(`Unknown FIR mode: ${mode}`);
+        }
+        this.firMode = mode;
+        this.rebuildFilterChain();
+        this.rebuildFirStage();
+        this.updateLevelMatch();
+    }
+    
+    setFirCorrection(design, channel = 'left') {
+        if (design.taps > this.maxFirTaps) {
+            throw new Error(`FIR length must be at most ${this.maxFirTaps} taps`);
+        }
+        for (const target of this.getTargetChannels(channel)) {
+            this.firDesigns[target] = { ...design };
+        }
+        this.loadFirFilters();
+        return this.getFirLatency();
+    }
+    
+    clearFirCorrection() {
+        for (const channel of this.channels) {
+            this.firDesigns[channel] = null;
+        }
+        this.loadFirFilters();
+    }
+    
+    // Latency the FIR adds to playback, in seconds
+    getFirLatency() {
+        return this.isFirActive() ? this.firLatency : 0;
+    }
+    
+    getFirState() {
+        return { mode: this.firMode, designs: { ...this.firDesigns } };
+    }
+    
+    setFirState(state) {
+        for (const channel of this.channels) {
+            const design = state.designs && state.designs[channel];
+            this.firDesigns[channel] = design && !(design.taps > this.maxFirTaps) ? { ...design } : null;
+        }
+        this.firMode = this.firModes.includes(state.mode) ? state.mode : 'off';
+        this.loadFirFilters();
+    }
+    
+    // Designs every channel's filter and loads them into the convolver as one stereo
+    // buffer. Channels share the largest latency so they stay aligned; a channel without
+    // a design passes through as an impulse at that delay.
+    loadFirFilters() {
+        const sampleRate = this.context.sampleRate;
+        const built = {};
+        for (const channel of this.channels) {
+            const design = this.firDesigns[channel];
+            if (design) {
+                built[channel] = DSP.designFir(design.frequencies, design.correction, { ...design, sampleRate });
+            }
+        }
+        
+        const filters = Object.values(built);
+        if (filters.length === 0) {
+            this.convolver.buffer = null;
+            this.firLatency = 0;
+        } else {
+            const latency = Math.max(...filters.map(filter => filter.latency));
+            const offsets = {};
+            let length = 1;
+            for (const channel of this.channels) {
+                const filter = built[channel];
+                offsets[channel] = filter ? Math.round(latency - filter.latency) : Math.round(latency);
+                length = Math.max(length, offsets[channel] + (filter ? filter.impulse.length : 1));
+            }
+            
+            const buffer = this.context.createBuffer(this.channels.length, length, sampleRate);
+            this.channels.forEach((channel, index) => {
+                const data = buffer.getChannelData(index);
+                if (built[channel]) {
+                    data.set(built[channel].impulse, offsets[channel]);
+                } else {
+                    data[offsets[channel]] = 1;
+                }
+            });
+            
+            this.convolver.buffer = buffer;
+            this.firLatency = latency / sampleRate;
+        }
+        
+        this.rebuildFilterChain();
+        this.rebuildFirStage();
+        this.updateLevelMatch();
+    }
+    
+    // The loaded FIR as a stereo 32-bit float WAV for other convolution engines
+    exportFirWav() {
+        const buffer = this.convolver.buffer;
+        if (!buffer) {
+            throw new Error('No FIR correction built');
+        }
+        
+        const channels = this.channels.map((_, index) => buffer.getChannelData(index));
+        return FileFormats.encodeWav(channels, buffer.sampleRate);
+    }
+    
     connectAudioGraph() {
-        if (!this.source) return;
+        // Rest of the chain is wired once in initialize()
+        for (const deck of this.decks) {
+            deck.gain.connect(this.eqInput);
+        }
+    }
+    
+    setEQType(type) {
+        if (type !== 'graphic' && type !== 'parametric') {
+            throw new Error(`Unknown EQ type: ${type}`);
+        }
+        if (type === this.eqType) return;
+        
+        this.eqType = type;
+        
+        // Swap filter chains without touching the stored settings of either mode
+        this.rebuildFilterChain();
+    }
+    
+    setFilterGain(index, gain, channel = 'left') {
+        for (const target of this.getTargetChannels(channel)) {
+            const filter = this.filters[target][index];
+            if (filter) {
+                this.setParam(filter.gain, gain);
+            }
+        }
+    }
+    
+    getAllGains(channel = 'left') {
+        return this.filters[channel].map(filter => filter.gain.value);
+    }
+    
+    setAllGains(gains, channel = 'left') {
+        gains.forEach((gain, index) => {
+            this.setFilterGain(index, gain, channel);
+        });
+    }
+    
+    setParametricBand(index, params, channel = 'left') {
+        if (params.type !== undefined && !this.parametricTypes.includes(params.type)) {
+            throw new Error(`Unsupported filter type: ${params.type}`);
+        }
+        
+        for (const target of this.getTargetChannels(channel)) {
+            const band = this.parametricBands[target][index];
+            if (!band) continue;
+            
+            Object.assign(band, params);
+            this.applyBandToFilter(this.parametricFilters[target][index], band);
+        }
+    }
+    
+    getParametricBands(channel = 'left') {
+        return this.parametricBands[channel].map(band => ({ ...band }));
+    }
+    
+    // Replaces the bands, adding or removing filters when the count differs
+    setParametricBands(bands, channel = 'left') {
+        let resized = false;
+        for (const target of this.getTargetChannels(channel)) {
+            resized = this.resizeParametricBands(target, bands.length) || resized;
+        }
+        if (resized) {
+            this.rebuildFilterChain();
+        }
+        
+        bands.forEach((band, index) => {
+            this.setParametricBand(index, band, channel);
+        });
+    }
+    
+    addParametricBand(band = this.newParametricBand, channel = 'left') {
+        const targets = this.getTargetChannels(channel);
+        if (targets.some(target => this.parametricBands[target].length >= this.maxParametricBands)) {
+            throw new Error(`The parametric EQ holds at most ${this.maxParametricBands} bands`);
+        }
+        
+        for (const target of targets) {
+            this.resizeParametricBands(target, this.parametricBands[target].length + 1);
+        }
+        this.rebuildFilterChain();
+        
+        const index = this.parametricBands[targets[0]].length - 1;
+        this.setParametricBand(index, band, channel);
+        return index;
+    }
+    
+    removeParametricBand(index, channel = 'left') {
+        for (const target of this.getTargetChannels(channel)) {
+            const [filter] = this.parametricFilters[target].splice(index, 1);
+            this.parametricBands[target].splice(index, 1);
+            if (filter) {
+                filter.disconnect();
+            }
+        }
+        this.rebuildFilterChain();
+    }
+    
+    // Grows the channel with flat bands or drops bands from the end; the caller rebuilds
+    // the filter chain. Returns whether anything changed.
+    resizeParametricBands(channel, count) {
+        const bands = this.parametricBands[channel];
+        const filters = this.parametricFilters[channel];
+        if (bands.length === count) return false;
+        
+        while (bands.length < count) {
+            const band = { ...this.newParametricBand };
+            const filter = this.context.createBiquadFilter();
+            this.applyBandToFilter(filter, band);
+            bands.push(band);
+            filters.push(filter);
+        }
+        bands.splice(count);
+        filters.splice(count).forEach(filter => filter.disconnect());
+        return true;
+    }
+    
+    resetParametricBands(channel = 'left') {
+        this.setParametricBands(this.defaultParametricBands, channel);
+        return this.getParametricBands(channel);
+    }
+    
+    setPreamp(db, rampTime = 0) {
+        const [min, max] = this.preampRange;
+        this.preamp = Math.max(min, Math.min(max, db));
+        this.setParam(this.preampGain.gain, Math.pow(10, this.preamp / 20), rampTime);
+        return this.preamp;
+    }
+    
+    setChannelLink(enabled, sourceChannel = 'left') {
+        this.channelLink = enabled;
+        if (!enabled) return;
+        
+        // Linking copies the source channel's settings onto the others
+        this.setAllGains(this.getAllGains(sourceChannel), 'both');
+        this.setParametricBands(this.getParametricBands(sourceChannel), 'both');
+    }
+    
+    soloChannel(channel) {
+        // null restores all channels; the sub stays muted while a single speaker is measured
+        this.soloedChannel = channel;
+        for (const target of this.channels) {
+            this.channelGains[target].gain.value = channel === null || channel === target ? 1 : 0;
+        }
+        this.subOutput.gain.value = channel === null ? 1 : 0;
+    }
+    
+    // Time alignment
+    setChannelDelay(channel, milliseconds) {
+        const delay = this.channelDelays[channel];
+        if (!delay) return 0;
+        
+        const clamped = Math.max(0, Math.min(this.maxDelayTime * 1000, milliseconds));
+        this.delays[channel] = clamped;
+        this.setParam(delay.delayTime, clamped / 1000, this.crossfadeTime);
+        return clamped;
+    }
+    
+    setChannelDelays(delays) {
+        for (const channel of this.channels) {
+            if (delays[channel] !== undefined) {
+                this.setChannelDelay(channel, delays[channel]);
+            }
+        }
+    }
+    
+    getChannelDelays() {
+        return { ...this.delays };
+    }
+    
+    calculateDelaysFromArrivals(arrivals) {
+        // Hold back the earlier speakers so everything lands with the latest one
+        const latest = Math.max(...this.channels.map(channel => arrivals[channel]));
+        const delays = {};
+        for (const channel of this.channels) {
+            delays[channel] = Math.round((latest - arrivals[channel]) * 100) / 100;
+        }
+        return delays;
+    }
+    
+    calculateDelaysFromDistances(distances) {
+        // Distances in cm from each speaker to the listener's head
+        const arrivals = {};
+        for (const channel of this.channels) {
+            arrivals[channel] = distances[channel] / 100 / this.speedOfSound * 1000;
+        }
+        return this.calculateDelaysFromArrivals(arrivals);
+    }
+    
+    loadAlignmentPresets() {
+        return JSON.parse(localStorage.getItem('alignmentPresets') || '{}');
+    }
+    
+    saveAlignmentPreset(name, delays, distances = null) {
+        this.alignmentPresets[name] = { delays, distances };
+        localStorage.setItem('alignmentPresets', JSON.stringify(this.alignmentPresets));
+    }
+    
+    deleteAlignmentPreset(name) {
+        delete this.alignmentPresets[name];
+        localStorage.setItem('alignmentPresets', JSON.stringify(this.alignmentPresets));
+    }
+    
+    getAlignmentPresetNames() {
+        return Object.keys(this.alignmentPresets);
+    }
+    
+    // Crossover and bass management
+    createPassFilters(type, frequency, alignment, slope) {
+        if (!this.crossoverAlignments.includes(alignment)) {
+            throw new Error(`Unknown crossover alignment: ${alignment}`);
+        }
+        if (!this.crossoverSlopes.includes(slope)) {
+            throw new Error(`Unsupported crossover slope: ${slope} dB/oct`);
+        }
         
-        // Connect source to first filter
-        let previousNode = this.source;
+        // Linkwitz-Riley is two Butterworth filters of half the order in series;
+        // for 12 dB/oct the two first-order halves combine into one section with Q 0.5
+        const order = slope / 6;
+        let qs;
+        if (alignment === 'butterworth') {
+            qs = DSP.butterworthQs(order);
+        } else if (order === 2) {
+            qs = [0.5];
+        } else {
+            qs = [...DSP.butterworthQs(order / 2), ...DSP.butterworthQs(order / 2)];
+        }
         
-        // Chain all filters
-        for (const filter of this.filters) {
+        return qs.map(q => {
+            const filter = this.context.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            
+            // Web Audio takes lowpass/highpass Q in dB
+            filter.Q.value = 20 * Math.log10(q);
+            return filter;
+        });
+    }
+    
+    connectChain(input, filters, output, outputIndex = 0) {
+        let previousNode = input;
+        for (const filter of filters) {
             previousNode.connect(filter);
             previousNode = filter;
         }
+        previousNode.connect(output, 0, outputIndex);
+    }
+    
+    rebuildCrossover() {
+        const { highPass, sub, subsonic } = this.crossover;
         
-        // Connect to analyser
-        previousNode.connect(this.analyser);
+        // Tear down the previous filters
+        this.limiter.disconnect();
+        this.subInput.disconnect();
+        this.subOutput.disconnect();
+        this.crossoverInput.disconnect();
+        for (const channel of this.channels) {
+            this.channelDelays[channel].disconnect();
+        }
+        for (const filter of this.getCrossoverFilters()) {
+            filter.disconnect();
+        }
         
-        // Connect to limiter
-        this.analyser.connect(this.limiter);
+        // Subsonic filter protects every driver, so it sits ahead of the split
+        this.subsonicFilters = subsonic.enabled
+            ? this.createPassFilters('highpass', subsonic.frequency, 'butterworth', 24)
+            : [];
+        this.connectChain(this.limiter, this.subsonicFilters, this.crossoverInput);
+        this.crossoverInput.connect(this.outputSplitter);
         
-        // Connect to master gain
-        this.limiter.connect(this.masterGain);
+        this.channels.forEach((channel, index) => {
+            this.highPassFilters[channel] = highPass.enabled
+                ? this.createPassFilters('highpass', highPass.frequency, highPass.alignment, highPass.slope)
+                : [];
+            this.connectChain(this.channelDelays[channel], this.highPassFilters[channel], this.outputMerger, index);
+        });
         
-        // Connect to destination
-        this.masterGain.connect(this.context.destination);
+        this.subFilters = [];
+        if (sub.enabled) {
+            this.subFilters = this.createPassFilters('lowpass', sub.frequency, sub.alignment, sub.slope);
+            this.crossoverInput.connect(this.subInput);
+            this.connectChain(this.subInput, this.subFilters, this.subGain);
+            
+            // Without a spare output the sub is mixed back into left and right
+            if (this.subOutputIndex !== null) {
+                this.subOutput.connect(this.outputMerger, 0, this.subOutputIndex);
+            } else {
+                this.channels.forEach((channel, index) => this.subOutput.connect(this.outputMerger, 0, index));
+            }
+        }
+        this.updateSubGain();
+        
+        this.updateOutputChannels();
+    }
+    
+    updateSubGain() {
+        const { level, inverted } = this.crossover.sub;
+        this.setParam(this.subGain.gain, Math.pow(10, level / 20) * (inverted ? -1 : 1));
     }
     
-    setFilterGain(index, gain) {
-        if (this.filters[index]) {
-            this.filters[index].gain.setValueAtTime(gain, this.context.currentTime);
+    updateOutputChannels() {
+        // Address the outputs directly while the sub has a channel of its own
+        const destination = this.context.destination;
+        if (this.crossover.sub.enabled && this.subOutputIndex !== null) {
+            destination.channelCount = this.outputMerger.numberOfInputs;
+            destination.channelInterpretation = 'discrete';
+        } else {
+            destination.channelCount = 2;
+            destination.channelInterpretation = 'speakers';
         }
     }
     
-    getAllGains() {
-        return this.filters.map(filter => filter.gain.value);
+    getCrossoverFilters() {
+        return [
+            ...this.subsonicFilters,
+            ...this.channels.flatMap(channel => this.highPassFilters[channel]),
+            ...this.subFilters
+        ];
     }
     
-    setAllGains(gains) {
-        gains.forEach((gain, index) => {
-            this.setFilterGain(index, gain);
+    setCrossover(settings) {
+        // Partial updates, e.g. { sub: { level: -3 } }
+        const crossover = this.getCrossover();
+        for (const section of Object.keys(crossover)) {
+            Object.assign(crossover[section], settings[section] || {});
+        }
+        
+        // Validate before touching the live graph
+        this.createPassFilters('highpass', crossover.highPass.frequency, crossover.highPass.alignment, crossover.highPass.slope);
+        this.createPassFilters('lowpass', crossover.sub.frequency, crossover.sub.alignment, crossover.sub.slope);
+        
+        // Level and polarity are plain gain changes; anything else needs new filters
+        const topology = (c) => JSON.stringify({ ...c, sub: { ...c.sub, level: 0, inverted: false } });
+        const rebuild = topology(crossover) !== topology(this.crossover);
+        
+        this.crossover = crossover;
+        if (rebuild) {
+            this.rebuildCrossover();
+        } else {
+            this.updateSubGain();
+        }
+    }
+    
+    getCrossover() {
+        return JSON.parse(JSON.stringify(this.crossover));
+    }
+    
+    hasSubOutput() {
+        return this.subOutputIndex !== null;
+    }
+    
+    // A/B comparison
+    getEQState() {
+        const graphicGains = {};
+        const parametricBands = {};
+        for (const channel of this.channels) {
+            graphicGains[channel] = this.getAllGains(channel);
+            parametricBands[channel] = this.getParametricBands(channel);
+        }
+        
+        return {
+            eqType: this.eqType,
+            channelLink: this.channelLink,
+            preamp: this.preamp,
+            graphicGains,
+            parametricBands
+        };
+    }
+    
+    applyEQState(state, rampTime = 0) {
+        this.setEQType(state.eqType);
+        this.channelLink = state.channelLink;
+        this.setPreamp(state.preamp || 0, rampTime);
+        
+        // States can hold a different number of parametric bands
+        let resized = false;
+        for (const channel of this.channels) {
+            resized = this.resizeParametricBands(channel, state.parametricBands[channel].length) || resized;
+        }
+        if (resized) {
+            this.rebuildFilterChain();
+        }
+        
+        for (const channel of this.channels) {
+            state.graphicGains[channel].forEach((gain, index) => {
+                const filter = this.filters[channel][index];
+                if (filter) {
+                    this.setParam(filter.gain, gain, rampTime);
+                }
+            });
+            
+            state.parametricBands[channel].forEach((band, index) => {
+                const current = this.parametricBands[channel][index];
+                if (!current) return;
+                Object.assign(current, band);
+                this.applyBandToFilter(this.parametricFilters[channel][index], current, rampTime);
+            });
+        }
+    }
+    
+    storeABState(slot) {
+        this.abStates[slot] = this.getEQState();
+        this.activeSlot = slot;
+        this.updateLevelMatch();
+    }
+    
+    // onApplied runs once the stored state is in place, after the fade out
+    switchABState(slot, onApplied = null) {
+        const state = this.abStates[slot];
+        if (!state) return null;
+        
+        // Fade out, swap while silent and fade back in, so only A or B is ever heard;
+        // gliding the filters would pass through settings that are neither. A switch
+        // still pending is replaced by the newer one.
+        clearTimeout(this.abSwitchTimer);
+        this.fadeParam(this.wetGain.gain, 0);
+        this.abSwitchTimer = setTimeout(() => {
+            this.abSwitchTimer = null;
+            this.applyEQState(state);
+            this.fadeParam(this.wetGain.gain, this.bypassed ? 0 : 1);
+            if (onApplied) {
+                onApplied(state);
+            }
+        }, this.crossfadeTime * 1000);
+        
+        this.activeSlot = slot;
+        this.updateLevelMatch(state);
+        return state;
+    }
+    
+    setBypass(enabled) {
+        this.bypassed = enabled;
+        
+        // Crossfade between the filtered and the untouched signal
+        this.fadeParam(this.wetGain.gain, enabled ? 0 : 1);
+        this.fadeParam(this.dryGain.gain, enabled ? 1 : 0);
+        this.updateLevelMatch();
+    }
+    
+    setLevelMatch(enabled) {
+        this.levelMatch = enabled;
+        this.updateLevelMatch();
+    }
+    
+    fadeParam(param, value) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(value, now + this.crossfadeTime);
+    }
+    
+    updateLevelMatch(state = this.getEQState()) {
+        // Bypass is unity gain; the EQ paths are compensated to the same loudness
+        this.levelOffset = this.levelMatch && !this.bypassed ? -this.estimateLoudness(state) : 0;
+        this.fadeParam(this.levelMatchGain.gain, Math.pow(10, this.levelOffset / 20));
+        return this.levelOffset;
+    }
+    
+    estimateLoudness(state) {
+        // Pink-weighted (equal energy per octave) power gain of the EQ in dB
+        const frequencies = new Float32Array(61);
+        for (let i = 0; i < frequencies.length; i++) {
+            frequencies[i] = 20 * Math.pow(2, i / 6);
+        }
+        
+        // Averaged over both channels, with the FIR on top of the filters or instead of them
+        let totalPower = 0;
+        for (const channel of this.channels) {
+            const filters = this.firReplacesFilters()
+                ? Array.from(frequencies, () => 0)
+                : this.computeStateResponse(state, frequencies, channel);
+            const fir = this.computeFirResponse(frequencies, channel);
+            const response = filters.map((db, i) => db + fir[i]);
+            totalPower += response.reduce((sum, db) => sum + Math.pow(10, db / 10), 0) / response.length;
+        }
+        return 10 * Math.log10(totalPower / this.channels.length) + (state.preamp || 0);
+    }
+    
+    // Magnitude (dB) of the loaded FIR, taken from the correction it was designed from;
+    // 0 dB where no FIR plays
+    computeFirResponse(frequencies, channel = 'left') {
+        const design = this.isFirActive() ? this.firDesigns[channel] : null;
+        if (!design) {
+            return Array.from(frequencies, () => 0);
+        }
+        return DSP.interpolateLog(design.frequencies, design.correction, Array.from(frequencies));
+    }
+    
+    computeStateResponse(state, frequencies, channel = 'left') {
+        // Combined response (dB) of a state, using detached filters so the live chain is untouched
+        const filters = state.eqType === 'parametric'
+            ? state.parametricBands[channel].map(band => {
+                const filter = this.context.createBiquadFilter();
+                this.applyBandToFilter(filter, band);
+                return filter;
+            })
+            : this.filters[channel].map((liveFilter, index) => {
+                const filter = this.context.createBiquadFilter();
+                filter.type = liveFilter.type;
+                filter.frequency.value = liveFilter.frequency.value;
+                filter.Q.value = liveFilter.Q.value;
+                filter.gain.value = state.graphicGains[channel][index];
+                return filter;
+            });
+            
+        return this.computeFiltersResponse(filters, frequencies);
+    }
+    
+    computeFiltersResponse(filters, frequencies) {
+        frequencies = Float32Array.from(frequencies);
+        const magnitude = new Float32Array(frequencies.length);
+        const phase = new Float32Array(frequencies.length);
+        const response = new Float32Array(frequencies.length);
+        
+        for (const filter of filters) {
+            filter.getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < response.length; i++) {
+                response[i] += 20 * Math.log10(magnitude[i]);
+            }
+        }
+        
+        return Array.from(response);
+    }
+    
+    // Settings of the live filters, Q as the linear value export formats expect
+    describeFilters(channel = 'left', eqType = this.eqType) {
+        const filters = eqType === 'parametric' ? this.parametricFilters[channel] : this.filters[channel];
+        return filters.map(filter => {
+            let q = filter.Q.value;
+            if (filter.type === 'lowpass' || filter.type === 'highpass') {
+                // Web Audio takes the pass filter Q in dB
+                q = Math.pow(10, q / 20);
+            } else if (!this.bandUsesQ(filter.type)) {
+                // Fixed shelf slope (S = 1) is the same as Q = 1/sqrt(2)
+                q = Math.SQRT1_2;
+            }
+            
+            return {
+                type: filter.type,
+                frequency: filter.frequency.value,
+                gain: this.bandUsesGain(filter.type) ? filter.gain.value : 0,
+                Q: q
+            };
         });
     }
     
-    loadPreset(presetName) {
+    // EQ as text for other tools; single-channel formats use the given channel
+    exportEQ(format, channel = 'left') {
+        const apoChannels = { left: 'L', right: 'R' };
+        const filtersByChannel = {};
+        
+        if (format === 'apo' && this.channelLink) {
+            filtersByChannel.all = this.describeFilters('left');
+        } else {
+            for (const ch of this.channels) {
+                filtersByChannel[apoChannels[ch]] = this.describeFilters(ch);
+            }
+        }
+        
+        if (format === 'apo') {
+            return FileFormats.formatEqualizerAPO(filtersByChannel, this.preamp);
+        }
+        if (format === 'autoeq') {
+            return FileFormats.formatAutoEQParametric(this.describeFilters(channel), this.preamp);
+        }
+        if (format === 'graphiceq') {
+            // Combined curve of the live filters on a 1/12 octave grid, preamp included
+            const frequencies = DSP.logFrequencies(12);
+            const response = this.computeFiltersResponse(this.getActiveFilters(channel), frequencies);
+            return FileFormats.formatGraphicEQ(frequencies, response.map(db => db + this.preamp));
+        }
+        if (format === 'csv') {
+            return FileFormats.formatFilterCSV(filtersByChannel);
+        }
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    
+    // Apply a file parsed by FileFormats.parseEqualizerAPO. Graphic curves are resampled
+    // onto the 31 bands; returns the resulting EQ type, link state and notes on anything
+    // that had to be changed to fit
+    importEQ(parsed) {
+        const notes = [...parsed.warnings];
+        const isGraphic = this.channels.some(channel => parsed.graphic[channel] !== null);
+        const settings = {};
+        
+        for (const channel of this.channels) {
+            settings[channel] = isGraphic
+                ? this.importGraphicGains(parsed.graphic[channel], parsed.filters[channel], notes)
+                : this.importParametricBands(parsed.filters[channel], notes);
+        }
+        
+        // Stay linked only when the file treats both channels the same
+        const linked = JSON.stringify(settings.left) === JSON.stringify(settings.right);
+        this.setChannelLink(linked);
+        this.setEQType(isGraphic ? 'graphic' : 'parametric');
+        
+        for (const channel of linked ? ['both'] : this.channels) {
+            const values = settings[channel === 'both' ? 'left' : channel];
+            if (isGraphic) {
+                this.setAllGains(values, channel);
+            } else {
+                this.setParametricBands(values, channel);
+            }
+        }
+        
+        if (this.setPreamp(parsed.preamp) !== parsed.preamp) {
+            notes.push(`preamp ${parsed.preamp} dB limited to ${this.preamp} dB`);
+        }
+        
+        // Both channels usually report the same thing
+        return { eqType: this.eqType, linked, notes: [...new Set(notes)] };
+    }
+    
+    importGraphicGains(points, filters, notes) {
+        // Curve sampled at the band centres, with any filters in the same file folded in
+        const curve = points
+            ? DSP.interpolateLog(points.map(point => point[0]), points.map(point => point[1]), this.frequencies)
+            : this.frequencies.map(() => 0);
+        for (const filter of filters) {
+            DSP.biquadResponse(filter, this.frequencies, this.context.sampleRate)
+                .forEach((db, i) => curve[i] += db);
+        }
+        
+        const [minGain, maxGain] = this.gainRange;
+        const gains = curve.map(db => Math.round(Math.max(minGain, Math.min(maxGain, db)) * 10) / 10);
+        if (curve.some(db => db < minGain || db > maxGain)) {
+            notes.push(`gains limited to ${minGain}..+${maxGain} dB`);
+        }
+        return gains;
+    }
+    
+    importParametricBands(filters, notes) {
+        const count = this.maxParametricBands;
+        let bands = filters;
+        if (filters.length > count) {
+            bands = this.refitFilters(filters, count);
+            notes.push(`${filters.length} filters refitted to ${count} bands`);
+        }
+        
+        const [minGain, maxGain] = this.gainRange;
+        const [minQ, maxQ] = this.qRange;
+        let limited = false;
+        const clamp = (value, min, max) => {
+            const clamped = Math.max(min, Math.min(max, value));
+            limited = limited || clamped !== value;
+            return clamped;
+        };
+        bands = bands.map(band => ({
+            type: band.type,
+            frequency: clamp(band.frequency, 20, 20000),
+            gain: clamp(band.gain, minGain, maxGain),
+            Q: clamp(band.Q, minQ, maxQ)
+        }));
+        if (limited) {
+            notes.push(`frequency, gain or Q limited to the control range`);
+        }
+        
+        // A channel without filters in the file stays flat
+        return bands.length > 0 ? bands : this.defaultParametricBands.map(band => ({ ...band }));
+    }
+    
+    // Reduce a filter set to count filters with the closest combined response.
+    // Pass and notch filters are kept, the strongest boost/cut filters seed the fit.
+    refitFilters(filters, count) {
+        const fixed = filters.filter(filter => !this.bandUsesGain(filter.type));
+        if (fixed.length > count) {
+            throw new Error(`${fixed.length} pass/notch filters don't fit in ${count} bands`);
+        }
+        
+        const sampleRate = this.context.sampleRate;
+        const frequencies = DSP.logFrequencies(12);
+        const responses = filters.map(filter => DSP.biquadResponse(filter, frequencies, sampleRate));
+        const target = frequencies.map((_, i) => responses.reduce((sum, response) => sum + response[i], 0));
+        
+        const rms = (response) => Math.sqrt(response.reduce((sum, db) => sum + db * db, 0) / response.length);
+        const strongest = filters
+            .map((filter, i) => ({ filter, level: rms(responses[i]) }))
+            .filter(({ filter }) => this.bandUsesGain(filter.type))
+            .sort((a, b) => b.level - a.level)
+            .slice(0, count - fixed.length)
+            .map(({ filter }) => filter);
+            
+        const [minGain, maxGain] = this.gainRange;
+        const [minQ, maxQ] = this.qRange;
+        const fitted = DSP.fitFilters(frequencies, target, [...fixed, ...strongest], {
+            sampleRate, minGain, maxGain, minQ, maxQ
+        });
+        
+        return fitted
+            .sort((a, b) => a.frequency - b.frequency)
+            .map(filter => ({
+                type: filter.type,
+                frequency: Math.round(filter.frequency),
+                gain: Math.round(filter.gain * 10) / 10,
+                Q: Math.round(filter.Q * 100) / 100
+            }));
+    }
+    
+    // User presets
+    loadUserPresets() {
+        return JSON.parse(localStorage.getItem('userPresets') || '{}');
+    }
+    
+    saveUserPresets() {
+        localStorage.setItem('userPresets', JSON.stringify(this.userPresets));
+    }
+    
+    getUserPresetNames() {
+        return Object.keys(this.userPresets).sort((a, b) => a.localeCompare(b));
+    }
+    
+    saveUserPreset(name, state = this.getEQState()) {
+        // Saving under an existing name overwrites it
+        this.userPresets[name] = JSON.parse(JSON.stringify(state));
+        this.saveUserPresets();
+    }
+    
+    renameUserPreset(name, newName) {
+        if (!this.userPresets[name]) {
+            throw new Error(`Unknown preset: ${name}`);
+        }
+        if (name === newName) return;
+        if (this.userPresets[newName]) {
+            throw new Error(`A preset named "${newName}" already exists`);
+        }
+        
+        this.userPresets[newName] = this.userPresets[name];
+        delete this.userPresets[name];
+        this.saveUserPresets();
+    }
+    
+    duplicateUserPreset(name, newName) {
+        if (!this.userPresets[name]) {
+            throw new Error(`Unknown preset: ${name}`);
+        }
+        if (this.userPresets[newName]) {
+            throw new Error(`A preset named "${newName}" already exists`);
+        }
+        
+        this.saveUserPreset(newName, this.userPresets[name]);
+    }
+    
+    deleteUserPreset(name) {
+        delete this.userPresets[name];
+        this.saveUserPresets();
+    }
+    
+    loadUserPreset(name) {
+        const state = this.userPresets[name];
+        if (!state) return null;
+        
+        this.applyEQState(state);
+        return this.getEQState();
+    }
+    
+    loadPreset(presetName, channel = 'left') {
         const preset = this.presets[presetName];
         if (preset) {
-            this.setAllGains(preset);
+            this.setAllGains(preset, channel);
             return preset;
         }
         return null;
@@ -191,6 +1323,109 @@ class AudioProcessor {
         return responses;
     }
     
+    // Music entering the EQ, the reference when measuring with music: the one channel
+    // being measured, or the mono sum when every speaker plays. Taken before the EQ so
+    // the measurement includes it, like test signal measurements.
+    createInputTap(channel = null) {
+        const channelCount = this.channels.length;
+        const splitter = this.context.createChannelSplitter(channelCount);
+        const node = this.context.createGain();
+        node.channelCount = 1;
+        node.channelCountMode = 'explicit';
+        
+        this.eqInput.connect(splitter);
+        for (let i = 0; i < channelCount; i++) {
+            if (channel === null || this.channels[i] === channel) {
+                splitter.connect(node, i);
+            }
+        }
+        
+        return {
+            node,
+            release: () => {
+                this.eqInput.disconnect(splitter);
+                splitter.disconnect();
+                node.disconnect();
+            }
+        };
+    }
+    
+    // Take over every setting of another processor's chain. Values are set directly,
+    // without ramps, so a freshly built chain starts out exactly in that state.
+    copyStateFrom(source) {
+        this.applyEQState(source.getEQState());
+        this.setFirState(source.getFirState());
+        this.setCrossover(source.getCrossover());
+        this.setLimiter(source.limiter.ratio.value > 1);
+        this.soloChannel(source.soloedChannel);
+        
+        for (const channel of this.channels) {
+            this.setChannelDelay(channel, source.delays[channel]);
+            this.channelDelays[channel].delayTime.value = this.delays[channel] / 1000;
+        }
+        
+        this.bypassed = source.bypassed;
+        this.levelMatch = source.levelMatch;
+        this.levelOffset = source.levelOffset;
+        this.wetGain.gain.value = this.bypassed ? 0 : 1;
+        this.dryGain.gain.value = this.bypassed ? 1 : 0;
+        this.levelMatchGain.gain.value = Math.pow(10, this.levelOffset / 20);
+        this.masterGain.gain.value = source.masterGain.gain.value;
+    }
+    
+    // Output channel the sub gets in a render, or null when the render is plain stereo
+    getRenderSubChannel() {
+        return this.crossover.sub.enabled && this.hasSubOutput() ? this.subOutputIndex : null;
+    }
+    
+    // Render a decoded track through a copy of the current chain as fast as possible.
+    // Resolves with { channels, sampleRate, subChannel }, the FIR latency already removed.
+    // A sub on its own output keeps the device's channel layout instead of being folded
+    // into left and right.
+    async renderOffline(audioBuffer, onProgress = null) {
+        const sampleRate = audioBuffer.sampleRate;
+        const latency = Math.round(this.getFirLatency() * sampleRate);
+        const length = audioBuffer.length + latency;
+        const subChannel = this.getRenderSubChannel();
+        const numberOfChannels = subChannel === null ? 2 : this.outputMerger.numberOfInputs;
+        const context = new OfflineAudioContext(numberOfChannels, length, sampleRate);
+        
+        const processor = new AudioProcessor(null);
+        await processor.initialize(context);
+        processor.copyStateFrom(this);
+        
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(processor.eqInput);
+        source.start();
+        
+        // Suspend points must fall on render quantum boundaries
+        if (onProgress) {
+            const steps = 20;
+            let previous = 0;
+            for (let i = 1; i < steps; i++) {
+                const frame = Math.floor(length * i / steps / 128) * 128;
+                if (frame === previous) continue;
+                previous = frame;
+                context.suspend(frame / sampleRate).then(() => {
+                    onProgress(i / steps);
+                    context.resume();
+                });
+            }
+        }
+        
+        const rendered = await context.startRendering();
+        if (onProgress) {
+            onProgress(1);
+        }
+        
+        const channels = [];
+        for (let i = 0; i < rendered.numberOfChannels; i++) {
+            channels.push(rendered.getChannelData(i).slice(latency));
+        }
+        return { channels, sampleRate, subChannel };
+    }
+    
     // Suspend context when pausing to prevent stuck audio
     async suspend() {
         if (this.context && this.context.state === 'running') {
@@ -205,15 +1440,13 @@ class AudioProcessor {
     }
     
     // Generate test signals for calibration
-    async generateSweep(duration = 10) {
+    async generateSweep(duration = 10, startFreq = 20, endFreq = 20000) {
         const sampleRate = this.context.sampleRate;
-        const length = sampleRate * duration;
+        const length = Math.round(sampleRate * duration);
         const buffer = this.context.createBuffer(1, length, sampleRate);
         const data = buffer.getChannelData(0);
         
-        // Exponential sweep from 20Hz to 20kHz
-        const startFreq = 20;
-        const endFreq = 20000;
+        // Exponential sweep from startFreq to endFreq
         const k = Math.pow(endFreq / startFreq, 1 / duration);
         
         for (let i = 0; i < length; i++) {
@@ -264,33 +1497,56 @@ class AudioProcessor {
     
     // Play test signal
     async playTestSignal(buffer) {
+        // Mono test signals are upmixed to both channels; soloChannel() picks the speaker
         const source = this.context.createBufferSource();
         source.buffer = buffer;
         
         // Disconnect normal audio path temporarily
-        if (this.source) {
-            this.source.disconnect();
+        for (const deck of this.decks) {
+            deck.gain.disconnect();
         }
         
-        // Connect test signal through filters
-        let previousNode = source;
-        for (const filter of this.filters) {
-            previousNode.connect(filter);
-            previousNode = filter;
-        }
-        previousNode.connect(this.analyser);
-        this.analyser.connect(this.context.destination);
+        // Connect test signal through the EQ chain
+        source.connect(this.eqInput);
         
         source.start();
         
         return new Promise((resolve) => {
             source.onended = () => {
                 // Reconnect normal audio path
-                if (this.source) {
-                    this.connectAudioGraph();
-                }
+                this.connectAudioGraph();
                 resolve();
             };
         });
     }
+    
+    // Play the buffer once on each channel in turn, separated by `gap` seconds.
+    // Resolves with the spacing between the starts of consecutive signals.
+    async playTestSequence(buffer, gap = 1) {
+        const merger = this.context.createChannelMerger(this.channels.length);
+        const slot = buffer.duration + gap;
+        const start = this.context.currentTime + 0.1;
+        
+        // Disconnect normal audio path temporarily
+        for (const deck of this.decks) {
+            deck.gain.disconnect();
+        }
+        merger.connect(this.eqInput);
+        
+        const sources = this.channels.map((channel, index) => {
+            const source = this.context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(merger, 0, index);
+            source.start(start + index * slot);
+            return source;
+        });
+        
+        return new Promise((resolve) => {
+            sources[sources.length - 1].onended = () => {
+                merger.disconnect();
+                this.connectAudioGraph();
+                resolve(slot);
+            };
+        });
+    }
 }
\ No newline at end of file
@@ -5,18 +5,64 @@ class Calibration {
         this.statusCallback = statusCallback;
         this.isCalibrating = false;
         
-        // Target curves
+        // Built-in target curves, defined at the EQ band frequencies
         this.targetCurves = {
             'flat': new Array(31).fill(0),
             'harman': this.generateHarmanCurve(),
-            'b&k': this.generateBKCurve(),
-            'custom': new Array(31).fill(0)
+            'b&k': this.generateBKCurve()
         };
         
+        // User targets: points at arbitrary frequencies plus a bass shelf and treble tilt
+        this.customTargets = this.loadCustomTargets();
+        
         // Measurement settings
         this.measurementData = [];
-        this.referenceLevel = -20; // dB
         this.noiseFloor = -80; // dB threshold for valid measurements
+        
+        // Measurement microphone calibration files
+        this.micCalibrations = this.loadMicCalibrations();
+        this.activeMicCalibration = null;
+        this.micCorrectionCache = null;
+        
+        // Multi-point session: { positions: [{ label, weight, spectrum, method }] }
+        this.session = null;
+        
+        // Sweep measurement settings
+        this.sweepStartFreq = 20;
+        this.sweepEndFreq = 20000;
+        this.maxSweepDuration = 10; // seconds, bounds the deconvolution FFT size
+        this.maxHarmonic = 5;
+        this.lastImpulseResponse = null;
+        this.lastResponse = null;
+        this.lastMethod = null;
+        this.recorderLoaded = false;
+        
+        // Music measurement settings: transfer function between the output and the mic
+        this.transferFftSize = 8192;
+        this.minCoherence = 0.5; // bins below this are ignored
+        this.maxOutputDelay = 1; // seconds, Bluetooth links can add several hundred ms
+        this.lastTransferFunction = null;
+        
+        // Magnitude response imported from REW or another measurement tool
+        this.importedMeasurement = null;
+        
+        // How measured errors become EQ gains. solver: 'least-squares' solves all bands
+        // together, 'per-band' corrects every band on its own by strength, rounded to step.
+        // normalization: 'max' lines the loudest band up with the target, 'band' matches
+        // the average level over referenceBand.
+        this.correctionProfile = {
+            solver: 'per-band',
+            maxBoost: 10, // dB
+            maxCut: 10, // dB
+            minFreq: 20, // Hz, nothing is corrected outside minFreq-maxFreq
+            maxFreq: 20000,
+            peaksOnly: false, // below transitionFreq only cut peaks (room modes), never fill dips
+            transitionFreq: 300, // Hz
+            normalization: 'max',
+            referenceBand: [500, 2000], // Hz
+            strength: 0.7,
+            step: 0.5 // dB
+        };
     }
     
     generateHarmanCurve() {
@@ -40,30 +86,341 @@ class Calibration {
         });
     }
     
+    // Custom target curves
+    createEmptyTarget() {
+        return {
+            points: [],
+            bassShelf: { gain: 0, frequency: 100 },
+            trebleTilt: { slope: 0, frequency: 1000 }
+        };
+    }
+    
+    loadCustomTargets() {
+        return JSON.parse(localStorage.getItem('targetCurves') || '{}');
+    }
+    
+    saveCustomTarget(name, target) {
+        this.customTargets[name] = target;
+        localStorage.setItem('targetCurves', JSON.stringify(this.customTargets));
+    }
+    
+    deleteCustomTarget(name) {
+        delete this.customTargets[name];
+        localStorage.setItem('targetCurves', JSON.stringify(this.customTargets));
+    }
+    
+    getCustomTargetNames() {
+        return Object.keys(this.customTargets);
+    }
+    
+    evaluateTarget(target, frequencies) {
+        const points = target.points || [];
+        const base = points.length > 0
+            ? DSP.interpolateLog(points.map(p => p[0]), points.map(p => p[1]), frequencies)
+            : frequencies.map(() => 0);
+        const defaults = this.createEmptyTarget();
+        const { gain: shelfGain, frequency: shelfFreq } = target.bassShelf || defaults.bassShelf;
+        const { slope, frequency: tiltFreq } = target.trebleTilt || defaults.trebleTilt;
+        
+        return frequencies.map((freq, i) => {
+            // Second-order style shelf: full gain well below the corner, half at it
+            const shelf = shelfGain / (1 + Math.pow(freq / shelfFreq, 2));
+            // Tilt in dB/octave above its corner
+            const tilt = freq > tiltFreq ? slope * Math.log2(freq / tiltFreq) : 0;
+            return base[i] + shelf + tilt;
+        });
+    }
+    
+    getTargetCurve(name, frequencies = this.audioProcessor.getFrequencies()) {
+        if (name && name.startsWith('custom:')) {
+            const target = this.customTargets[name.slice('custom:'.length)];
+            if (target) {
+                return this.evaluateTarget(target, frequencies);
+            }
+        }
+        
+        // Unknown or deleted targets fall back to flat
+        const curve = this.targetCurves[name] || this.targetCurves['flat'];
+        return DSP.interpolateLog(this.audioProcessor.getFrequencies(), curve, frequencies);
+    }
+    
+    parseTargetText(text) {
+        const points = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || /^[*#"';]/.test(line)) continue;
+            
+            const values = line.split(/[\s,;]+/).map(Number);
+            if (values.length >= 2 && values[0] > 0 && isFinite(values[0]) && isFinite(values[1])) {
+                points.push([values[0], values[1]]);
+            }
+        }
+        
+        if (points.length === 0) {
+            throw new Error('No frequency/dB pairs found in target file');
+        }
+        
+        points.sort((a, b) => a[0] - b[0]);
+        return { ...this.createEmptyTarget(), points };
+    }
+    
+    formatTargetText(target, name = 'Custom target') {
+        // Export the evaluated curve so shelf and tilt are baked in
+        const frequencies = this.getLogFrequencies(12);
+        const curve = this.evaluateTarget(target, frequencies);
+        const lines = [`* ${name}`, '* Freq(Hz) Level(dB)'];
+        frequencies.forEach((freq, i) => {
+            lines.push(`${freq.toFixed(2)} ${curve[i].toFixed(2)}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+    
     async calibrate(options = {}) {
+        await this.measure(options);
+        
+        // Process measurements
+        this.statusCallback('Processing measurements...', 'info');
+        const corrections = this.correctionsFor(options);
+        
+        this.statusCallback('Calibration complete!', 'info');
+        
+        return corrections;
+    }
+    
+    // Graphic band gains, or parametric bands when options.correctionType is 'parametric'
+    // (options.parametric holds the fit settings)
+    correctionsFor(options) {
+        const {
+            targetCurve = 'flat',
+            smoothing = '1/3'
+        } = options;
+        
+        if (options.correctionType === 'parametric') {
+            return this.calculateParametricCorrections(targetCurve, smoothing, options.parametric);
+        }
+        return this.calculateCorrections(targetCurve, smoothing);
+    }
+    
+    // Measure each speaker on its own and return { left: [...], right: [...] } corrections
+    async calibrateChannels(options = {}) {
+        const corrections = {};
+        for (const channel of this.audioProcessor.channels) {
+            this.statusCallback(`Measuring ${channel} channel...`, 'info');
+            await this.measure({ ...options, channel });
+            
+            this.statusCallback('Processing measurements...', 'info');
+            corrections[channel] = this.correctionsFor(options);
+        }
+        
+        this.statusCallback('Calibration complete!', 'info');
+        
+        return corrections;
+    }
+    
+    // Closed loop: measure with the current EQ in place, move the bands part of the way
+    // towards the target, and measure again until the deviation is within tolerance over
+    // [minFreq, maxFreq] or maxPasses measurements are done. Ends on the pass closest to
+    // the target, stopping early once a pass makes things worse. onPass gets a report per
+    // pass; the resulting gains are keyed by what they were applied to ('left', 'right' or 'both').
+    async calibrateIterative(options = {}) {
+        const {
+            targetCurve = 'flat',
+            smoothing = '1/3',
+            tolerance = 2,
+            minFreq = 100,
+            maxFreq = 10000,
+            maxPasses = 4,
+            channel = null,
+            onPass = null
+        } = options;
+        
+        const frequencies = this.audioProcessor.getFrequencies();
+        const target = this.getTargetCurve(targetCurve);
+        // Measuring both speakers at once moves every channel by the same step, but each
+        // from its own gains unless the channels are linked
+        const applyTo = channel ? [channel] : this.audioProcessor.channelLink ? ['both'] : this.audioProcessor.channels;
+        const gains = {};
+        for (const name of applyTo) {
+            gains[name] = this.audioProcessor.getAllGains(name === 'both' ? 'left' : name);
+        }
+        const reports = [];
+        let best = null; // { report, gains } of the pass closest to the target
+        
+        for (let pass = 1; pass <= maxPasses; pass++) {
+            this.statusCallback(`Pass ${pass} of ${maxPasses}: measuring...`, 'info');
+            await this.measure({ ...options, channel });
+            
+            const avgMeasurement = this.averageMeasurements();
+            this.storeResponse(avgMeasurement);
+            const measured = this.applySmoothing(this.extractFrequencyResponse(avgMeasurement, frequencies), smoothing);
+            const deviation = this.measureDeviation(measured, target, minFreq, maxFreq);
+            
+            const report = {
+                pass,
+                maxError: deviation.maxError,
+                rmsError: deviation.rmsError,
+                converged: deviation.maxError <= tolerance
+            };
+            reports.push(report);
+            if (onPass) {
+                onPass(report);
+            }
+            
+            // A noisy measurement or gains up against a limit can make a pass worse;
+            // stepping on from there only drifts further, so stop and keep the best
+            const improved = !best || report.rmsError < best.report.rmsError;
+            if (improved) {
+                best = { report, gains: { ...gains } };
+            }
+            if (report.converged || pass === maxPasses || !improved) break;
+            
+            // Step with the profile's solver: least squares allows for the overlap between
+            // neighbouring bands, per band takes the profile's strength of the error, smoothed
+            const steps = this.correctionProfile.solver === 'least-squares'
+                ? this.solveBandGains(deviation.errors)
+                : this.smoothCorrections(deviation.errors.map(error => error * this.correctionProfile.strength));
+            for (const name of applyTo) {
+                gains[name] = this.applyProfileLimits(gains[name].map((gain, i) => this.roundToStep(gain + steps[i])));
+                this.audioProcessor.setAllGains(gains[name], name);
+            }
+        }
+        
+        const last = reports[reports.length - 1];
+        if (best.report !== last) {
+            for (const name of applyTo) {
+                this.audioProcessor.setAllGains(best.gains[name], name);
+            }
+        }
+        
+        const { pass, maxError, converged } = best.report;
+        if (converged) {
+            this.statusCallback(`Within ±${tolerance} dB after ${pass} pass${pass === 1 ? '' : 'es'}`, 'info');
+        } else if (best.report !== last) {
+            this.statusCallback(`Error grew on pass ${last.pass}, kept pass ${pass} at ±${maxError.toFixed(1)} dB from target`, 'info');
+        } else {
+            this.statusCallback(`Stopped after ${pass} passes, ±${maxError.toFixed(1)} dB from target`, 'info');
+        }
+        
+        return { gains: best.gains, reports, converged };
+    }
+    
+    // Per-band error (target minus measured) inside the range, after removing the overall
+    // level difference; bands outside the range or below the noise floor count as 0
+    measureDeviation(measured, target, minFreq, maxFreq) {
+        const frequencies = this.audioProcessor.getFrequencies();
+        const inRange = frequencies.map((freq, i) =>
+            freq >= minFreq && freq <= maxFreq && measured[i] > this.noiseFloor);
+        const used = inRange.filter(Boolean).length;
+        if (used === 0) {
+            throw new Error('No valid measurement data in the selected range');
+        }
+        
+        const offset = frequencies.reduce((sum, _, i) => inRange[i] ? sum + target[i] - measured[i] : sum, 0) / used;
+        const errors = frequencies.map((_, i) => inRange[i] ? target[i] - measured[i] - offset : 0);
+        const inRangeErrors = errors.filter((_, i) => inRange[i]);
+        
+        return {
+            errors,
+            maxError: Math.max(...inRangeErrors.map(Math.abs)),
+            rmsError: Math.sqrt(inRangeErrors.reduce((sum, error) => sum + error * error, 0) / used)
+        };
+    }
+    
+    // Time alignment: sweep every speaker in turn within one recording and compare
+    // where each impulse lands. Returns arrival times (ms) relative to a common start.
+    async measureArrivalTimes(options = {}) {
+        if (this.isCalibrating) {
+            throw new Error('Calibration already in progress');
+        }
+        
+        const {
+            sweepDuration = 3,
+            gap = 1
+        } = options;
+        
+        this.isCalibrating = true;
+        
+        try {
+            const stream = await this.openMicrophone();
+            const micSource = this.audioProcessor.context.createMediaStreamSource(stream);
+            await this.audioProcessor.resume();
+            
+            const sweep = await this.audioProcessor.generateSweep(
+                sweepDuration,
+                this.sweepStartFreq,
+                this.sweepEndFreq
+            );
+            
+            const recording = await this.startRecording(micSource);
+            
+            // Both sweeps are scheduled on the audio clock, so their spacing is exact
+            this.statusCallback('Playing alignment sweeps - please stay quiet...', 'warning');
+            const slot = await this.audioProcessor.playTestSequence(sweep, gap);
+            
+            await new Promise(resolve => setTimeout(resolve, 500));
+            const [micSignal] = recording.stop();
+            stream.getTracks().forEach(track => track.stop());
+            
+            this.statusCallback('Computing arrival times...', 'info');
+            const response = this.deconvolveSweep(micSignal, sweep);
+            const sampleRate = sweep.sampleRate;
+            const slotSamples = Math.round(slot * sampleRate);
+            
+            // Measure without the delays that are already applied
+            const currentDelays = this.audioProcessor.getChannelDelays();
+            const arrivals = {};
+            this.audioProcessor.channels.forEach((channel, index) => {
+                const start = sweep.length - 1 + index * slotSamples;
+                const peak = this.findPeak(response, start, Math.min(start + slotSamples, response.length));
+                arrivals[channel] = (peak - start) / sampleRate * 1000 - currentDelays[channel];
+            });
+            
+            return arrivals;
+            
+        } catch (error) {
+            if (error.name === 'NotAllowedError') {
+                throw new Error('Microphone access denied');
+            }
+            throw error;
+        } finally {
+            this.isCalibrating = false;
+        }
+    }
+    
+    async openMicrophone() {
+        return navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+                sampleRate: this.audioProcessor.context.sampleRate
+            }
+        });
+    }
+    
+    async measure(options = {}) {
         if (this.isCalibrating) {
             throw new Error('Calibration already in progress');
         }
         
         const {
             duration = 10000,
-            targetCurve = 'flat',
-            smoothing = '1/3',
-            useTestSignal = false
+            useTestSignal = false,
+            method = useTestSignal ? 'noise' : 'music',
+            channel = null
         } = options;
         
         this.isCalibrating = true;
+        this.lastMethod = method;
         
         try {
+            // Mute the other speakers when measuring a single channel
+            if (channel) {
+                this.audioProcessor.soloChannel(channel);
+            }
+            
             // Request microphone access
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    sampleRate: this.audioProcessor.context.sampleRate
-                }
-            });
+            const stream = await this.openMicrophone();
             
             this.statusCallback('Initializing microphone...', 'info');
             
@@ -78,31 +435,31 @@ class Calibration {
             // Wait a moment for audio to stabilize
             await new Promise(resolve => setTimeout(resolve, 1000));
             
-            if (useTestSignal) {
+            if (method === 'sweep') {
+                // Use an exponential sweep and deconvolve the impulse response
+                await this.audioProcessor.resume();
+                await this.measureWithSweep(micSource, duration);
+            } else if (method === 'noise') {
                 // Use pink noise for measurement
+                await this.audioProcessor.resume();
                 await this.measureWithTestSignal(micAnalyser, duration);
             } else {
                 // Use currently playing music
-                await this.measureWithMusic(micAnalyser, duration);
+                await this.measureWithMusic(micSource, duration, channel);
             }
             
             // Stop microphone
             stream.getTracks().forEach(track => track.stop());
             
-            // Process measurements
-            this.statusCallback('Processing measurements...', 'info');
-            const corrections = this.calculateCorrections(targetCurve, smoothing);
-            
-            this.statusCallback('Calibration complete!', 'info');
-            
-            return corrections;
-            
         } catch (error) {
             if (error.name === 'NotAllowedError') {
                 throw new Error('Microphone access denied');
             }
             throw error;
         } finally {
+            if (channel) {
+                this.audioProcessor.soloChannel(null);
+            }
             this.isCalibrating = false;
         }
     }
@@ -128,14 +485,328 @@ class Calibration {
         await measurementPromise;
     }
     
-    async measureWithMusic(micAnalyser, duration) {
+    // Records the music going into the EQ together with the mic and divides the two,
+    // so the song's own spectral balance cancels out of the measurement. With a single
+    // channel soloed only that channel's music is the reference.
+    async measureWithMusic(micSource, duration, channel = null) {
         this.statusCallback('Measuring with current music...', 'info');
         
         // Clear previous measurements
         this.measurementData = [];
         
-        // Collect measurements
-        await this.collectMeasurements(micAnalyser, duration);
+        // Reference on channel 0, mic on channel 1 of the same recording
+        const context = this.audioProcessor.context;
+        const tap = this.audioProcessor.createInputTap(channel);
+        const merger = context.createChannelMerger(2);
+        tap.node.connect(merger, 0, 0);
+        micSource.connect(merger, 0, 1);
+        
+        // The tap hangs off the live chain, so it must come off whatever happens
+        let reference, mic;
+        try {
+            const recording = await this.startRecording(merger, 2);
+            const startTime = Date.now();
+            while (Date.now() - startTime < duration) {
+                const progress = Math.min((Date.now() - startTime) / duration * 100, 100);
+                this.statusCallback(`Measuring... ${progress.toFixed(0)}%`, 'info');
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+            [reference, mic] = recording.stop();
+        } finally {
+            tap.release();
+            micSource.disconnect(merger);
+        }
+        
+        this.statusCallback('Computing transfer function...', 'info');
+        const result = this.analyzeTransferFunction(reference, mic, context.sampleRate);
+        
+        this.lastTransferFunction = result;
+        this.measurementData.push(this.applyMicCalibration(result.spectrum));
+        
+        return result;
+    }
+    
+    analyzeTransferFunction(reference, mic, sampleRate) {
+        const level = Math.sqrt(reference.reduce((sum, value) => sum + value * value, 0) / reference.length);
+        if (!(level > 1e-5)) {
+            throw new Error('No music played during the measurement');
+        }
+        
+        // Line the mic up with the reference before dividing, otherwise the playback and
+        // recording latency decorrelates the two
+        const delay = DSP.estimateDelay(reference, mic, Math.round(this.maxOutputDelay * sampleRate));
+        const transfer = DSP.transferFunction(reference, mic, this.transferFftSize, delay);
+        
+        // Low coherence means the mic heard something else there (noise, or a frequency
+        // the song barely has); those bins go below the noise floor so they are skipped
+        const binWidth = sampleRate / this.transferFftSize;
+        const spectrum = new Float32Array(transfer.magnitude.length);
+        let audible = 0;
+        let coherent = 0;
+        transfer.magnitude.forEach((db, k) => {
+            const isCoherent = transfer.coherence[k] >= this.minCoherence;
+            spectrum[k] = isCoherent ? db : this.noiseFloor;
+            if (k * binWidth >= 20 && k * binWidth <= 20000) {
+                audible++;
+                if (isCoherent) coherent++;
+            }
+        });
+        
+        const coherentFraction = coherent / audible;
+        if (coherentFraction < 0.1) {
+            throw new Error('The microphone does not follow the music - check the volume and the microphone');
+        }
+        
+        return {
+            sampleRate,
+            delay: delay / sampleRate,
+            spectrum,
+            phase: transfer.phase,
+            coherence: transfer.coherence,
+            coherentFraction,
+            segments: transfer.segments
+        };
+    }
+    
+    async measureWithSweep(micSource, duration) {
+        this.statusCallback('Generating sweep...', 'info');
+        
+        const sweepDuration = Math.min(duration / 1000, this.maxSweepDuration);
+        const sweep = await this.audioProcessor.generateSweep(
+            sweepDuration,
+            this.sweepStartFreq,
+            this.sweepEndFreq
+        );
+        
+        // Clear previous measurements
+        this.measurementData = [];
+        
+        const recording = await this.startRecording(micSource);
+        
+        this.statusCallback('Playing sweep - please stay quiet...', 'warning');
+        await this.audioProcessor.playTestSignal(sweep);
+        
+        // Keep recording to capture output latency and the cabin decay
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const [micSignal] = recording.stop();
+        
+        this.statusCallback('Computing impulse response...', 'info');
+        const result = this.analyzeSweep(micSignal, sweep);
+        
+        this.lastImpulseResponse = result;
+        this.measurementData.push(this.applyMicCalibration(result.spectrum));
+        
+        return result;
+    }
+    
+    async startRecording(inputNode, channelCount = 1) {
+        const context = this.audioProcessor.context;
+        
+        if (!this.recorderLoaded) {
+            await context.audioWorklet.addModule('js/recorder-worklet.js');
+            this.recorderLoaded = true;
+        }
+        
+        const recorder = new AudioWorkletNode(context, 'recorder-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: channelCount,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'discrete'
+        });
+        
+        const chunks = [];
+        recorder.port.onmessage = (event) => chunks.push(event.data);
+        inputNode.connect(recorder);
+        
+        return {
+            stop: () => {
+                recorder.port.postMessage('stop');
+                recorder.port.onmessage = null;
+                inputNode.disconnect(recorder);
+                return this.joinRecordedChunks(chunks, channelCount);
+            }
+        };
+    }
+    
+    joinRecordedChunks(chunks, channelCount) {
+        const length = chunks.reduce((total, chunk) => total + chunk[0].length, 0);
+        const channels = [];
+        
+        for (let ch = 0; ch < channelCount; ch++) {
+            const data = new Float32Array(length);
+            let offset = 0;
+            for (const chunk of chunks) {
+                // Missing channels (unconnected input) are left silent
+                if (chunk[ch]) {
+                    data.set(chunk[ch], offset);
+                }
+                offset += chunk[0].length;
+            }
+            channels.push(data);
+        }
+        
+        return channels;
+    }
+    
+    // Sweep rate constant: instantaneous frequency is f1 * exp(t / L)
+    getSweepRate(sweepBuffer) {
+        return sweepBuffer.duration / Math.log(this.sweepEndFreq / this.sweepStartFreq);
+    }
+    
+    deconvolveSweep(recording, sweepBuffer) {
+        const sampleRate = sweepBuffer.sampleRate;
+        const sweep = sweepBuffer.getChannelData(0);
+        const sweepLength = sweep.length;
+        const rate = this.getSweepRate(sweepBuffer);
+        
+        // Inverse filter: time-reversed sweep with a -6 dB/octave envelope
+        const inverse = new Float32Array(sweepLength);
+        for (let i = 0; i < sweepLength; i++) {
+            inverse[i] = sweep[sweepLength - 1 - i] * Math.exp(-(i / sampleRate) / rate);
+        }
+        
+        // Normalize so the sweep convolved with its inverse has unity gain at 1 kHz
+        const norm = DSP.dftMagnitude(sweep, 1000, sampleRate) * DSP.dftMagnitude(inverse, 1000, sampleRate);
+        
+        // Deconvolve: linear convolution of the recording with the inverse sweep
+        const size = DSP.nextPowerOfTwo(recording.length + sweepLength);
+        const rec = DSP.realFFT(recording, size);
+        const inv = DSP.realFFT(inverse, size);
+        for (let i = 0; i < size; i++) {
+            const re = rec.re[i] * inv.re[i] - rec.im[i] * inv.im[i];
+            const im = rec.re[i] * inv.im[i] + rec.im[i] * inv.re[i];
+            rec.re[i] = re / norm;
+            rec.im[i] = im / norm;
+        }
+        DSP.fft(rec.re, rec.im, true);
+        return rec.re;
+    }
+    
+    findPeak(values, start = 0, end = values.length) {
+        let peakIndex = start;
+        for (let i = start; i < end; i++) {
+            if (Math.abs(values[i]) > Math.abs(values[peakIndex])) {
+                peakIndex = i;
+            }
+        }
+        return peakIndex;
+    }
+    
+    analyzeSweep(recording, sweepBuffer) {
+        const sampleRate = sweepBuffer.sampleRate;
+        const rate = this.getSweepRate(sweepBuffer);
+        const response = this.deconvolveSweep(recording, sweepBuffer);
+        
+        // The linear impulse response is the largest peak; harmonics arrive before it
+        const peakIndex = this.findPeak(response);
+        
+        const preRoll = Math.round(0.002 * sampleRate);
+        const harmonicOffset = (order) => Math.round(rate * Math.log(order) * sampleRate);
+        
+        // Linear IR runs from the peak until the data (or half a second) runs out
+        const irLength = Math.min(Math.round(0.5 * sampleRate), response.length - peakIndex);
+        const impulseResponse = this.windowImpulse(response, peakIndex, preRoll, irLength);
+        
+        const fftSize = DSP.nextPowerOfTwo(Math.max(impulseResponse.length, 32768));
+        const linear = this.impulseSpectrum(impulseResponse, preRoll, fftSize);
+        const frequencies = this.getLogFrequencies();
+        const magnitude = this.sampleSpectrum(linear.magnitude, frequencies, sampleRate);
+        const phase = this.sampleSpectrum(linear.phase, frequencies, sampleRate, false)
+            .map(radians => radians * 180 / Math.PI);
+            
+        // Separate the harmonic distortion products
+        const harmonics = [];
+        for (let order = 2; order <= this.maxHarmonic; order++) {
+            const offset = harmonicOffset(order);
+            const length = offset - harmonicOffset(order - 1);
+            const start = peakIndex - offset;
+            if (start - preRoll < 0) break;
+            
+            const harmonicIR = this.windowImpulse(response, start, preRoll, length);
+            const spectrum = this.impulseSpectrum(harmonicIR, preRoll, fftSize);
+            
+            // Compare the n-th harmonic at n*f with the fundamental at f
+            const level = frequencies.map((freq, i) => {
+                if (freq * order >= sampleRate / 2) return null;
+                const [harmonicLevel] = this.sampleSpectrum(spectrum.magnitude, [freq * order], sampleRate);
+                return harmonicLevel - magnitude[i];
+            });
+            
+            harmonics.push({ order, impulseResponse: harmonicIR, level });
+        }
+        
+        // Total harmonic distortion (percent) per fundamental frequency
+        const thd = frequencies.map((freq, i) => {
+            let power = 0;
+            for (const harmonic of harmonics) {
+                if (harmonic.level[i] !== null) {
+                    power += Math.pow(10, harmonic.level[i] / 10);
+                }
+            }
+            return Math.sqrt(power) * 100;
+        });
+        
+        return {
+            sampleRate,
+            impulseResponse,
+            spectrum: linear.magnitude,
+            frequencies,
+            magnitude,
+            phase,
+            harmonics,
+            thd
+        };
+    }
+    
+    windowImpulse(response, peakIndex, preRoll, length) {
+        // Cut [peak - preRoll, peak + length) with a half-Hann fade in and fade out
+        const start = Math.max(0, peakIndex - preRoll);
+        const end = Math.min(response.length, peakIndex + length);
+        const windowed = new Float32Array(end - start);
+        const fadeIn = peakIndex - start;
+        const fadeOut = Math.max(1, Math.round((end - peakIndex) * 0.1));
+        
+        for (let i = 0; i < windowed.length; i++) {
+            let gain = 1;
+            if (i < fadeIn) {
+                gain = 0.5 - 0.5 * Math.cos(Math.PI * i / fadeIn);
+            } else if (i >= windowed.length - fadeOut) {
+                gain = 0.5 - 0.5 * Math.cos(Math.PI * (windowed.length - i) / fadeOut);
+            }
+            windowed[i] = response[start + i] * gain;
+        }
+        
+        return windowed;
+    }
+    
+    impulseSpectrum(impulseResponse, preRoll, fftSize) {
+        // Rotate the pre-roll to the end so phase is referenced to the arrival
+        const re = new Float64Array(fftSize);
+        const im = new Float64Array(fftSize);
+        for (let i = 0; i < impulseResponse.length; i++) {
+            re[(i - preRoll + fftSize) % fftSize] = impulseResponse[i];
+        }
+        DSP.fft(re, im);
+        return DSP.spectrumToPolar(re, im);
+    }
+    
+    sampleSpectrum(values, frequencies, sampleRate, interpolate = true) {
+        // Read per-bin values at arbitrary frequencies (no noise floor gating)
+        const binWidth = sampleRate / 2 / values.length;
+        return frequencies.map(freq => {
+            const position = Math.min(values.length - 1, freq / binWidth);
+            const bin = Math.floor(position);
+            if (!interpolate || bin >= values.length - 1) {
+                return values[Math.round(position)];
+            }
+            const fraction = position - bin;
+            return values[bin] * (1 - fraction) + values[bin + 1] * fraction;
+        });
+    }
+    
+    getLogFrequencies(pointsPerOctave = 48, minFreq = 20, maxFreq = 20000) {
+        return DSP.logFrequencies(pointsPerOctave, minFreq, maxFreq);
     }
     
     async collectMeasurements(analyser, duration) {
@@ -166,7 +837,7 @@ class Calibration {
                 } else {
                     const maxLevel = Math.max(...dataArray);
                     if (maxLevel > this.noiseFloor) {
-                        this.measurementData.push(new Float32Array(dataArray));
+                        this.measurementData.push(this.applyMicCalibration(dataArray));
                     }
                 }
                 
@@ -186,48 +857,571 @@ class Calibration {
             throw new Error('No valid measurement data collected');
         }
         
-        const targetCurve = this.targetCurves[targetCurveName];
-        const frequencies = this.audioProcessor.getFrequencies();
+        return this.correctionsFromResponse(this.measuredBandResponse(), targetCurveName, smoothing);
+    }
+    
+    // Fitted parametric bands instead of 31 band gains, see fitParametricFilters
+    calculateParametricCorrections(targetCurveName, smoothing, options = {}) {
+        if (this.measurementData.length === 0) {
+            throw new Error('No valid measurement data collected');
+        }
         
+        const desired = this.desiredCorrection(this.measuredBandResponse(), targetCurveName, smoothing);
+        return this.fitParametricFilters(desired, options);
+    }
+    
+    measuredBandResponse() {
         // Average all measurements
         const avgMeasurement = this.averageMeasurements();
+        this.storeResponse(avgMeasurement);
         
         // Get response at each EQ frequency
-        const measuredResponse = this.extractFrequencyResponse(
+        return this.extractFrequencyResponse(
             avgMeasurement,
-            frequencies
+            this.audioProcessor.getFrequencies()
         );
+    }
+    
+    // Target minus the smoothed, normalized measurement at each EQ band frequency
+    desiredCorrection(measuredResponse, targetCurveName, smoothing) {
+        const targetCurve = this.getTargetCurve(targetCurveName);
         
         // Apply smoothing
         const smoothedResponse = this.applySmoothing(measuredResponse, smoothing);
         
-        // Normalize to reference level
-        const maxResponse = Math.max(...smoothedResponse);
-        const normalizedResponse = smoothedResponse.map(v => v - maxResponse + this.referenceLevel);
+        // Normalize to the target's level
+        const offset = this.normalizationOffset(smoothedResponse, targetCurve);
+        return this.applyProfileLimits(smoothedResponse.map((v, i) => targetCurve[i] - (v + offset)));
+    }
+    
+    // Rules of the correction profile on gains at frequencies (the EQ bands by default):
+    // nothing outside the correction range, only cuts below the transition when
+    // peaksOnly is set, boost and cut limits
+    applyProfileLimits(gains, frequencies = this.audioProcessor.getFrequencies()) {
+        const profile = this.correctionProfile;
+        
+        return gains.map((gain, i) => {
+            const freq = frequencies[i];
+            if (freq < profile.minFreq || freq > profile.maxFreq) return 0;
+            if (profile.peaksOnly && freq < profile.transitionFreq) {
+                gain = Math.min(0, gain);
+            }
+            return Math.max(-profile.maxCut, Math.min(profile.maxBoost, gain));
+        });
+    }
+    
+    // Band gains from a response sampled at the EQ band frequencies, shared by live
+    // and imported measurements
+    correctionsFromResponse(measuredResponse, targetCurveName, smoothing) {
+        const desired = this.desiredCorrection(measuredResponse, targetCurveName, smoothing);
+        
+        if (this.correctionProfile.solver === 'least-squares') {
+            return this.solveBandGains(desired);
+        }
+        
+        // Conservative per-band correction: only part of the error (don't overcorrect),
+        // limited and rounded to the profile's step
+        const strength = this.correctionProfile.strength;
+        const corrections = this.applyProfileLimits(desired.map(correction => correction * strength))
+            .map(correction => this.roundToStep(correction));
+            
+        // Apply additional smoothing to prevent harsh transitions; the average can
+        // spill into bands the profile leaves alone
+        return this.applyProfileLimits(this.smoothCorrections(corrections));
+    }
+    
+    roundToStep(gain) {
+        const step = this.correctionProfile.step;
+        return Math.round(Math.round(gain / step) * step * 100) / 100;
+    }
+    
+    // Band gains whose combined response, overlap between neighbouring bands included,
+    // best matches the desired correction (dB at the band frequencies) on a dense grid
+    solveBandGains(desired) {
+        const bandFrequencies = this.audioProcessor.getFrequencies();
+        const frequencies = this.getLogFrequencies(12);
+        const [minGain, maxGain] = this.audioProcessor.gainRange;
+        const profile = this.correctionProfile;
+        
+        const gains = DSP.solveBandGains(
+            frequencies,
+            DSP.interpolateLog(bandFrequencies, desired, frequencies),
+            this.audioProcessor.describeFilters('left', 'graphic'),
+            {
+                sampleRate: this.audioProcessor.context.sampleRate,
+                minGain: Math.max(minGain, -profile.maxCut),
+                maxGain: Math.min(maxGain, profile.maxBoost)
+            }
+        );
+        
+        // Band overlap can leave small gains where the profile wants none
+        return this.applyProfileLimits(gains).map(gain => Math.round(gain * 10) / 10);
+    }
+    
+    // A handful of parametric filters (peaking plus optional shelves), each with its own
+    // frequency, gain and Q, fitted to the desired correction. This is what head units
+    // with only a few PEQ bands can take.
+    fitParametricFilters(desired, options = {}) {
+        const {
+            filters = 8,
+            shelves = true,
+            minQ = 0.5,
+            maxQ = 6,
+            minFreq = this.correctionProfile.minFreq,
+            maxFreq = this.correctionProfile.maxFreq
+        } = options;
+        
+        // Shelves take two of the parametric EQ's bands
+        const maxPeaks = this.audioProcessor.maxParametricBands - (shelves ? 2 : 0);
+        const frequencies = this.getLogFrequencies(12, minFreq, maxFreq);
+        const [minGain, maxGain] = this.audioProcessor.gainRange;
+        const [lowestQ, highestQ] = this.audioProcessor.qRange;
+        
+        const fitted = DSP.fitParametric(
+            frequencies,
+            DSP.interpolateLog(this.audioProcessor.getFrequencies(), desired, frequencies),
+            {
+                count: Math.max(1, Math.min(maxPeaks, filters)),
+                shelves: shelves,
+                sampleRate: this.audioProcessor.context.sampleRate,
+                minQ: Math.max(lowestQ, minQ),
+                maxQ: Math.min(highestQ, maxQ),
+                minGain: Math.max(minGain, -this.correctionProfile.maxCut),
+                maxGain: Math.min(maxGain, this.correctionProfile.maxBoost)
+            }
+        );
+        
+        return fitted
+            .sort((a, b) => a.frequency - b.frequency)
+            .map(filter => ({
+                type: filter.type,
+                frequency: Math.round(filter.frequency),
+                gain: Math.round(filter.gain * 10) / 10,
+                Q: Math.round(filter.Q * 100) / 100
+            }));
+    }
+    
+    setCorrectionProfile(profile) {
+        Object.assign(this.correctionProfile, profile);
+    }
+    
+    // Level shift that brings the measurement onto the target curve's scale
+    normalizationOffset(smoothedResponse, targetCurve) {
+        const profile = this.correctionProfile;
+        const frequencies = this.audioProcessor.getFrequencies();
+        
+        if (profile.normalization === 'band') {
+            // Average of the reference band sits on the target
+            const [low, high] = profile.referenceBand;
+            const used = frequencies
+                .map((_, i) => i)
+                .filter(i => frequencies[i] >= low && frequencies[i] <= high && smoothedResponse[i] > this.noiseFloor);
+            if (used.length === 0) {
+                throw new Error('No measured bands in the normalization reference band');
+            }
+            return used.reduce((sum, i) => sum + targetCurve[i] - smoothedResponse[i], 0) / used.length;
+        }
+        
+        // Loudest band inside the correction range sits on the target
+        let loudest = -1;
+        frequencies.forEach((freq, i) => {
+            if (freq < profile.minFreq || freq > profile.maxFreq) return;
+            if (loudest === -1 || smoothedResponse[i] > smoothedResponse[loudest]) loudest = i;
+        });
+        if (loudest === -1) {
+            loudest = smoothedResponse.indexOf(Math.max(...smoothedResponse));
+        }
+        return targetCurve[loudest] - smoothedResponse[loudest];
+    }
+    
+    // Offline calibration from a magnitude response measured elsewhere (REW .txt, .frd)
+    parseMeasurementText(text) {
+        const points = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || /^[*#"';]/.test(line)) continue;
+            
+            const values = line.split(/[\s,;]+/).map(Number);
+            if (values.length >= 2 && values[0] > 0 && isFinite(values[0]) && isFinite(values[1])) {
+                points.push(values);
+            }
+        }
+        
+        if (points.length < 2) {
+            throw new Error('No frequency/dB pairs found in measurement file');
+        }
+        
+        points.sort((a, b) => a[0] - b[0]);
+        const hasPhase = points.every(values => values.length >= 3 && isFinite(values[2]));
+        return {
+            frequencies: points.map(values => values[0]),
+            magnitude: points.map(values => values[1]),
+            phase: hasPhase ? points.map(values => values[2]) : null
+        };
+    }
+    
+    importMeasurement(text, name = 'Imported measurement') {
+        const measurement = this.parseMeasurementText(text);
+        this.importedMeasurement = { name, ...measurement };
+        
+        // Exports now refer to the imported response
+        this.lastResponse = measurement;
+        this.lastImpulseResponse = null;
+        this.lastMethod = 'import';
+        
+        return this.importedMeasurement;
+    }
+    
+    sampleMeasurement(measurement, frequencies, smoothing) {
+        // Average the points within each smoothing window; fall back to interpolation
+        // where the file is sparser than the window
+        const octaveFraction = { '1/3': 1/3, '1/6': 1/6, '1/12': 1/12 }[smoothing] || 1/3;
+        const interpolated = DSP.interpolateLog(measurement.frequencies, measurement.magnitude, frequencies);
+        
+        return frequencies.map((freq, i) => {
+            const lower = freq * Math.pow(2, -octaveFraction / 2);
+            const upper = freq * Math.pow(2, octaveFraction / 2);
+            let sum = 0;
+            let count = 0;
+            
+            measurement.frequencies.forEach((pointFreq, j) => {
+                if (pointFreq >= lower && pointFreq <= upper) {
+                    sum += measurement.magnitude[j];
+                    count++;
+                }
+            });
+            
+            return count > 0 ? sum / count : interpolated[i];
+        });
+    }
+    
+    // A measurement read at the EQ band frequencies without smoothing, like the band
+    // response of a live measurement; the corrections smooth it once from there
+    bandResponseOf(measurement) {
+        return DSP.interpolateLog(measurement.frequencies, measurement.magnitude, this.audioProcessor.getFrequencies());
+    }
+    
+    calculateImportedCorrections(targetCurveName, smoothing) {
+        if (!this.importedMeasurement) {
+            throw new Error('No measurement imported');
+        }
+        
+        return this.correctionsFromResponse(this.bandResponseOf(this.importedMeasurement), targetCurveName, smoothing);
+    }
+    
+    // Imported, target and predicted (imported + correction EQ) curves on a dense grid,
+    // on the level scale the corrections were calculated on
+    predictImportedResponse(corrections, targetCurveName, smoothing) {
+        if (!this.importedMeasurement) {
+            throw new Error('No measurement imported');
+        }
+        
+        const offset = this.measurementOffset(this.importedMeasurement, targetCurveName, smoothing);
+        const frequencies = this.getLogFrequencies(24);
+        const measured = this.sampleMeasurement(this.importedMeasurement, frequencies, smoothing).map(db => db + offset);
+        
+        // Real response of the corrected bands, overlap between neighbours included
+        const eqResponse = this.audioProcessor.computeStateResponse(
+            { eqType: 'graphic', graphicGains: { left: corrections } },
+            frequencies
+        );
+        
+        return {
+            frequencies,
+            measured,
+            target: this.getTargetCurve(targetCurveName, frequencies),
+            predicted: measured.map((db, i) => db + eqResponse[i])
+        };
+    }
+    
+    // Normalization offset of a { frequencies, magnitude } measurement at any resolution,
+    // found at the EQ bands like for the band corrections
+    measurementOffset(measurement, targetCurveName, smoothing) {
+        return this.normalizationOffset(
+            this.applySmoothing(this.bandResponseOf(measurement), smoothing),
+            this.getTargetCurve(targetCurveName)
+        );
+    }
+    
+    // Correction curve for an FIR filter at the full resolution of the last measurement,
+    // with the same target, normalization and profile rules as the band corrections.
+    // Returns { frequencies, correction } in dB.
+    firCorrection(targetCurveName, smoothing) {
+        if (!this.lastResponse) {
+            throw new Error('No measurement to build the FIR from');
+        }
+        
+        // Points below the noise floor carry no information, interpolate across them
+        const { frequencies } = this.lastResponse;
+        const measurement = this.usableResponse();
+        if (measurement.frequencies.length < 2) {
+            throw new Error('The measurement has no usable data');
+        }
         
-        // Calculate corrections with conservative approach
-        const corrections = [];
-        for (let i = 0; i < frequencies.length; i++) {
-            const target = targetCurve[i];
-            const measured = normalizedResponse[i];
+        const offset = this.measurementOffset(measurement, targetCurveName, smoothing);
+        const measured = this.sampleMeasurement(measurement, frequencies, smoothing);
+        const target = this.getTargetCurve(targetCurveName, frequencies);
+        
+        return {
+            frequencies: [...frequencies],
+            correction: this.applyProfileLimits(measured.map((db, i) => target[i] - (db + offset)), frequencies)
+        };
+    }
+    
+    // Points of the last measurement above the noise floor, as { frequencies, magnitude }
+    usableResponse() {
+        const { frequencies, magnitude } = this.lastResponse;
+        const valid = frequencies.map((_, i) => i).filter(i => magnitude[i] > this.noiseFloor);
+        return {
+            frequencies: valid.map(i => frequencies[i]),
+            magnitude: valid.map(i => magnitude[i])
+        };
+    }
+    
+    // Last measurement smoothed onto the given frequencies and lined up with the target
+    // like for the corrections, null outside the measured range. null without a measurement.
+    normalizedResponse(targetCurveName, smoothing, frequencies) {
+        if (!this.lastResponse) return null;
+        
+        const measurement = this.usableResponse();
+        if (measurement.frequencies.length < 2) return null;
+        
+        const offset = this.measurementOffset(measurement, targetCurveName, smoothing);
+        const low = measurement.frequencies[0];
+        const high = measurement.frequencies[measurement.frequencies.length - 1];
+        return this.sampleMeasurement(measurement, frequencies, smoothing)
+            .map((db, i) => frequencies[i] >= low && frequencies[i] <= high ? db + offset : null);
+    }
+    
+    // Measurement microphone calibration
+    parseMicCalibration(text) {
+        let sensitivity = null;
+        const points = [];
+        
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
             
-            // Calculate correction needed
-            let correction = target - measured;
+            // UMIK-style header, e.g. "Sens Factor =-1.378dB, SERNO: 7001234"
+            const sensMatch = line.match(/sens(?:itivity)?(?:\s*factor)?\s*[=:]\s*(-?\d+(?:\.\d+)?)/i);
+            if (sensMatch) {
+                sensitivity = parseFloat(sensMatch[1]);
+                continue;
+            }
             
-            // Apply conservative factor (don't overcorrect)
-            correction *= 0.7;
+            if (/^[*#"';]/.test(line)) continue;
             
-            // Limit correction range
-            correction = Math.max(-10, Math.min(10, correction));
+            const values = line.split(/[\s,;]+/).map(Number);
+            if (values.length >= 2 && values[0] > 0 && isFinite(values[0]) && isFinite(values[1])) {
+                points.push([values[0], values[1]]);
+            }
+        }
+        
+        if (points.length < 2) {
+            throw new Error('No frequency/dB pairs found in calibration file');
+        }
+        
+        points.sort((a, b) => a[0] - b[0]);
+        return { sensitivity, points };
+    }
+    
+    loadMicCalibrations() {
+        return JSON.parse(localStorage.getItem('micCalibrations') || '{}');
+    }
+    
+    saveMicCalibrations() {
+        localStorage.setItem('micCalibrations', JSON.stringify(this.micCalibrations));
+    }
+    
+    importMicCalibration(name, text) {
+        const calibration = this.parseMicCalibration(text);
+        this.micCalibrations[name] = {
+            ...calibration,
+            date: new Date().toISOString()
+        };
+        this.saveMicCalibrations();
+        return this.micCalibrations[name];
+    }
+    
+    deleteMicCalibration(name) {
+        delete this.micCalibrations[name];
+        this.saveMicCalibrations();
+        if (this.activeMicCalibration === name) {
+            this.setMicCalibration(null);
+        }
+    }
+    
+    getMicCalibrationNames() {
+        return Object.keys(this.micCalibrations);
+    }
+    
+    setMicCalibration(name) {
+        this.activeMicCalibration = name && this.micCalibrations[name] ? name : null;
+        this.micCorrectionCache = null;
+    }
+    
+    getMicCorrection(length) {
+        // Interpolate the cal file onto the bins of a spectrum with `length` bins
+        const cache = this.micCorrectionCache;
+        if (cache && cache.name === this.activeMicCalibration && cache.values.length === length) {
+            return cache.values;
+        }
+        
+        const { points } = this.micCalibrations[this.activeMicCalibration];
+        const binWidth = this.audioProcessor.context.sampleRate / 2 / length;
+        const binFrequencies = Array.from({ length }, (_, i) => Math.max(i, 1) * binWidth);
+        const values = Float32Array.from(DSP.interpolateLog(
+            points.map(point => point[0]),
+            points.map(point => point[1]),
+            binFrequencies
+        ));
+        
+        this.micCorrectionCache = { name: this.activeMicCalibration, values };
+        return values;
+    }
+    
+    applyMicCalibration(spectrum) {
+        const corrected = new Float32Array(spectrum);
+        if (!this.activeMicCalibration) {
+            return corrected;
+        }
+        
+        const correction = this.getMicCorrection(spectrum.length);
+        for (let i = 0; i < corrected.length; i++) {
+            // Leave bins below the noise floor alone so they stay excluded
+            if (corrected[i] > this.noiseFloor) {
+                corrected[i] -= correction[i];
+            }
+        }
+        
+        return corrected;
+    }
+    
+    // Multi-point measurement sessions
+    startSession() {
+        this.session = { positions: [] };
+        return this.session;
+    }
+    
+    endSession() {
+        this.session = null;
+    }
+    
+    async measurePosition(label, weight = 1, options = {}) {
+        if (!this.session) {
+            this.startSession();
+        }
+        
+        await this.measure(options);
+        
+        const position = {
+            label: label || `Position ${this.session.positions.length + 1}`,
+            weight: Math.max(0, weight),
+            spectrum: this.averageMeasurements(),
+            method: this.lastMethod
+        };
+        this.session.positions.push(position);
+        
+        return position;
+    }
+    
+    setPositionWeight(index, weight) {
+        if (this.session && this.session.positions[index]) {
+            this.session.positions[index].weight = Math.max(0, weight);
+        }
+    }
+    
+    removePosition(index) {
+        if (this.session) {
+            this.session.positions.splice(index, 1);
+        }
+    }
+    
+    combineSession() {
+        const positions = this.session ? this.session.positions.filter(p => p.weight > 0) : [];
+        if (positions.length === 0) {
+            throw new Error('No weighted positions in session');
+        }
+        
+        const sampleRate = this.audioProcessor.context.sampleRate;
+        const length = positions[0].spectrum.length;
+        const binWidth = sampleRate / 2 / length;
+        const binFrequencies = Array.from({ length }, (_, i) => i * binWidth);
+        
+        // Sweep and analyser spectra differ in resolution, bring all onto one bin grid
+        const spectra = positions.map(position => position.spectrum.length === length
+            ? position.spectrum
+            : this.sampleSpectrum(position.spectrum, binFrequencies, sampleRate));
             
-            // Round to nearest 0.5 dB
-            correction = Math.round(correction * 2) / 2;
+        // Weighted power average, skipping positions below the noise floor
+        const combined = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            let totalWeight = 0;
+            
+            spectra.forEach((spectrum, p) => {
+                if (spectrum[i] > this.noiseFloor) {
+                    sum += positions[p].weight * Math.pow(10, spectrum[i] / 10);
+                    totalWeight += positions[p].weight;
+                }
+            });
             
-            corrections.push(correction);
+            combined[i] = totalWeight > 0 ? 10 * Math.log10(sum / totalWeight) : this.noiseFloor;
+        }
+        
+        return combined;
+    }
+    
+    calculateSessionCorrections(targetCurveName, smoothing) {
+        this.measurementData = [this.combineSession()];
+        this.lastMethod = 'session';
+        return this.calculateCorrections(targetCurveName, smoothing);
+    }
+    
+    storeResponse(avgMeasurement) {
+        // Keep the averaged response so it can be exported after calibration
+        const frequencies = this.getLogFrequencies();
+        const fromSweep = this.lastMethod === 'sweep' && this.lastImpulseResponse !== null;
+        const fromMusic = this.lastMethod === 'music' && this.lastTransferFunction !== null;
+        
+        let phase = null;
+        if (fromSweep) {
+            phase = this.lastImpulseResponse.phase;
+        } else if (fromMusic) {
+            const { phase: radians, sampleRate } = this.lastTransferFunction;
+            phase = this.sampleSpectrum(radians, frequencies, sampleRate, false).map(value => value * 180 / Math.PI);
         }
         
-        // Apply additional smoothing to prevent harsh transitions
-        return this.smoothCorrections(corrections);
+        this.lastResponse = {
+            frequencies,
+            magnitude: this.extractFrequencyResponse(avgMeasurement, frequencies),
+            phase
+        };
+    }
+    
+    exportImpulseResponse() {
+        if (!this.lastImpulseResponse) {
+            throw new Error('No impulse response measured');
+        }
+        
+        const { impulseResponse, sampleRate } = this.lastImpulseResponse;
+        return FileFormats.encodeWav([impulseResponse], sampleRate);
+    }
+    
+    exportFrequencyResponse(format = 'frd') {
+        if (!this.lastResponse) {
+            throw new Error('No measurement to export');
+        }
+        
+        const { frequencies, magnitude, phase } = this.lastResponse;
+        
+        if (format === 'frd') {
+            return FileFormats.formatFRD(frequencies, magnitude, phase);
+        }
+        if (format === 'txt') {
+            return FileFormats.formatREW(frequencies, magnitude, phase);
+        }
+        throw new Error(`Unknown export format: ${format}`);
     }
     
     smoothCorrections(corrections) {
@@ -236,7 +1430,7 @@ class Calibration {
         // Apply 3-point moving average
         for (let i = 1; i < smoothed.length - 1; i++) {
             smoothed[i] = (corrections[i - 1] + corrections[i] + corrections[i + 1]) / 3;
-            smoothed[i] = Math.round(smoothed[i] * 2) / 2; // Round to 0.5 dB
+            smoothed[i] = this.roundToStep(smoothed[i]);
         }
         
         return smoothed;
@@ -343,12 +1537,12 @@ class Calibration {
     }
     
     // Save/Load calibration profiles
-    saveProfile(name, corrections) {
+    saveProfile(name, corrections, targetCurve = 'flat') {
         const profiles = JSON.parse(localStorage.getItem('calibrationProfiles') || '{}');
         profiles[name] = {
             corrections: corrections,
             date: new Date().toISOString(),
-            targetCurve: 'custom'
+            targetCurve: targetCurve
         };
         localStorage.setItem('calibrationProfiles', JSON.stringify(profiles));
     }
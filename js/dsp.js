@@ -0,0 +1,575 @@
+// DSP Utilities
+class DSP {
+    static nextPowerOfTwo(n) {
+        return Math.pow(2, Math.ceil(Math.log2(Math.max(n, 1))));
+    }
+    
+    // In-place iterative radix-2 FFT (length must be a power of two)
+    static fft(re, im, inverse = false) {
+        const n = re.length;
+        
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            
+            if (i < j) {
+                let temp = re[i]; re[i] = re[j]; re[j] = temp;
+                temp = im[i]; im[i] = im[j]; im[j] = temp;
+            }
+        }
+        
+        // Twiddle table for the full length, strided for the smaller stages
+        const half = n >> 1;
+        const cosTable = new Float64Array(half);
+        const sinTable = new Float64Array(half);
+        const sign = inverse ? 1 : -1;
+        for (let i = 0; i < half; i++) {
+            cosTable[i] = Math.cos(2 * Math.PI * i / n);
+            sinTable[i] = sign * Math.sin(2 * Math.PI * i / n);
+        }
+        
+        for (let size = 2; size <= n; size <<= 1) {
+            const halfSize = size >> 1;
+            const step = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < halfSize; k++) {
+                    const a = start + k;
+                    const b = a + halfSize;
+                    const wr = cosTable[k * step];
+                    const wi = sinTable[k * step];
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+        
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+    
+    // Forward FFT of a real signal, zero-padded to `size`
+    static realFFT(signal, size = DSP.nextPowerOfTwo(signal.length)) {
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        re.set(signal.length > size ? signal.subarray(0, size) : signal);
+        DSP.fft(re, im);
+        return { re, im };
+    }
+    
+    // Single DFT bin evaluated directly, cheaper than a full FFT for one frequency
+    static dftMagnitude(signal, frequency, sampleRate) {
+        const omega = 2 * Math.PI * frequency / sampleRate;
+        let re = 0;
+        let im = 0;
+        for (let i = 0; i < signal.length; i++) {
+            re += signal[i] * Math.cos(omega * i);
+            im -= signal[i] * Math.sin(omega * i);
+        }
+        return Math.sqrt(re * re + im * im);
+    }
+    
+    // Convert a complex spectrum to dB magnitude and phase (radians) for bins 0..size/2-1
+    static spectrumToPolar(re, im) {
+        const bins = re.length / 2;
+        const magnitude = new Float32Array(bins);
+        const phase = new Float32Array(bins);
+        for (let i = 0; i < bins; i++) {
+            const power = re[i] * re[i] + im[i] * im[i];
+            magnitude[i] = 10 * Math.log10(Math.max(power, 1e-20));
+            phase[i] = Math.atan2(im[i], re[i]);
+        }
+        return { magnitude, phase };
+    }
+    
+    // Lag (samples, 0..maxLag) by which response trails reference, from the peak of the
+    // cross-correlation. The spectrum is whitened first (PHAT) so the strong bass of music
+    // doesn't smear the peak.
+    static estimateDelay(reference, response, maxLag) {
+        const size = DSP.nextPowerOfTwo(reference.length + response.length);
+        const ref = DSP.realFFT(reference, size);
+        const res = DSP.realFFT(response, size);
+        
+        for (let i = 0; i < size; i++) {
+            // response times the conjugate of reference
+            const re = res.re[i] * ref.re[i] + res.im[i] * ref.im[i];
+            const im = res.im[i] * ref.re[i] - res.re[i] * ref.im[i];
+            const magnitude = Math.sqrt(re * re + im * im) || 1;
+            res.re[i] = re / magnitude;
+            res.im[i] = im / magnitude;
+        }
+        DSP.fft(res.re, res.im, true);
+        
+        let lag = 0;
+        for (let i = 1; i <= Math.min(maxLag, size - 1); i++) {
+            if (res.re[i] > res.re[lag]) lag = i;
+        }
+        return lag;
+    }
+    
+    // Transfer function H = response / reference by Welch averaging of Hann-windowed,
+    // 50% overlapping segments, response shifted back by delay samples. Returns the
+    // magnitude (dB), phase (radians) and coherence (0..1) for bins 0..fftSize/2-1.
+    static transferFunction(reference, response, fftSize = 8192, delay = 0) {
+        const bins = fftSize / 2;
+        const hop = fftSize / 2;
+        const window = new Float64Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize);
+        }
+        
+        // Auto and cross spectra summed over the segments
+        const sxx = new Float64Array(bins);
+        const syy = new Float64Array(bins);
+        const sxyRe = new Float64Array(bins);
+        const sxyIm = new Float64Array(bins);
+        const length = Math.min(reference.length, response.length - delay);
+        let segments = 0;
+        
+        for (let start = 0; start + fftSize <= length; start += hop) {
+            const xRe = new Float64Array(fftSize);
+            const xIm = new Float64Array(fftSize);
+            const yRe = new Float64Array(fftSize);
+            const yIm = new Float64Array(fftSize);
+            for (let i = 0; i < fftSize; i++) {
+                xRe[i] = reference[start + i] * window[i];
+                yRe[i] = response[start + delay + i] * window[i];
+            }
+            DSP.fft(xRe, xIm);
+            DSP.fft(yRe, yIm);
+            
+            for (let k = 0; k < bins; k++) {
+                sxx[k] += xRe[k] * xRe[k] + xIm[k] * xIm[k];
+                syy[k] += yRe[k] * yRe[k] + yIm[k] * yIm[k];
+                sxyRe[k] += xRe[k] * yRe[k] + xIm[k] * yIm[k];
+                sxyIm[k] += xRe[k] * yIm[k] - xIm[k] * yRe[k];
+            }
+            segments++;
+        }
+        
+        if (segments === 0) {
+            throw new Error('Recording too short for a transfer function');
+        }
+        
+        const magnitude = new Float32Array(bins);
+        const phase = new Float32Array(bins);
+        const coherence = new Float32Array(bins);
+        for (let k = 0; k < bins; k++) {
+            const cross = sxyRe[k] * sxyRe[k] + sxyIm[k] * sxyIm[k];
+            const power = sxx[k] * syy[k];
+            magnitude[k] = 10 * Math.log10(Math.max(cross, 1e-40) / Math.max(sxx[k] * sxx[k], 1e-40));
+            phase[k] = Math.atan2(sxyIm[k], sxyRe[k]);
+            coherence[k] = power > 0 ? cross / power : 0;
+        }
+        
+        return { magnitude, phase, coherence, segments };
+    }
+    
+    // Linear interpolation on a log-frequency axis, holding the end values outside the range
+    static interpolateLog(frequencies, values, targetFrequencies) {
+        return targetFrequencies.map(target => {
+            if (target <= frequencies[0]) return values[0];
+            
+            const last = frequencies.length - 1;
+            if (target >= frequencies[last]) return values[last];
+            
+            let high = 1;
+            while (frequencies[high] < target) {
+                high++;
+            }
+            const low = high - 1;
+            const position = Math.log(target / frequencies[low]) / Math.log(frequencies[high] / frequencies[low]);
+            return values[low] + (values[high] - values[low]) * position;
+        });
+    }
+    
+    // Log-spaced frequency grid, pointsPerOctave points per octave
+    static logFrequencies(pointsPerOctave = 48, minFreq = 20, maxFreq = 20000) {
+        const count = Math.floor(Math.log2(maxFreq / minFreq) * pointsPerOctave) + 1;
+        const frequencies = [];
+        for (let i = 0; i < count; i++) {
+            frequencies.push(minFreq * Math.pow(2, i / pointsPerOctave));
+        }
+        return frequencies;
+    }
+    
+    // Q of each second-order section of an even-order Butterworth filter
+    static butterworthQs(order) {
+        const qs = [];
+        for (let k = 1; k <= order / 2; k++) {
+            qs.push(1 / (2 * Math.cos((2 * k - 1) * Math.PI / (2 * order))));
+        }
+        return qs;
+    }
+    
+    // Biquad coefficients using the formulas of the Web Audio spec; Q is linear for every type
+    static biquadCoefficients(filter, sampleRate) {
+        const { type, frequency, gain = 0, Q = Math.SQRT1_2 } = filter;
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const cos = Math.cos(w0);
+        const A = Math.pow(10, gain / 40);
+        const alpha = Math.sin(w0) / (2 * Q);
+        // Web Audio shelves have a fixed slope S = 1
+        const shelfAlpha = Math.sin(w0) / 2 * Math.SQRT2;
+        const shelfTerm = 2 * Math.sqrt(A) * shelfAlpha;
+        
+        switch (type) {
+            case 'peaking':
+                return [1 + alpha * A, -2 * cos, 1 - alpha * A, 1 + alpha / A, -2 * cos, 1 - alpha / A];
+            case 'lowpass':
+                return [(1 - cos) / 2, 1 - cos, (1 - cos) / 2, 1 + alpha, -2 * cos, 1 - alpha];
+            case 'highpass':
+                return [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2, 1 + alpha, -2 * cos, 1 - alpha];
+            case 'notch':
+                return [1, -2 * cos, 1, 1 + alpha, -2 * cos, 1 - alpha];
+            case 'lowshelf':
+                return [
+                    A * ((A + 1) - (A - 1) * cos + shelfTerm),
+                    2 * A * ((A - 1) - (A + 1) * cos),
+                    A * ((A + 1) - (A - 1) * cos - shelfTerm),
+                    (A + 1) + (A - 1) * cos + shelfTerm,
+                    -2 * ((A - 1) + (A + 1) * cos),
+                    (A + 1) + (A - 1) * cos - shelfTerm
+                ];
+            case 'highshelf':
+                return [
+                    A * ((A + 1) + (A - 1) * cos + shelfTerm),
+                    -2 * A * ((A - 1) + (A + 1) * cos),
+                    A * ((A + 1) + (A - 1) * cos - shelfTerm),
+                    (A + 1) - (A - 1) * cos + shelfTerm,
+                    2 * ((A - 1) - (A + 1) * cos),
+                    (A + 1) - (A - 1) * cos - shelfTerm
+                ];
+            default:
+                throw new Error(`Unsupported filter type: ${type}`);
+        }
+    }
+    
+    // Magnitude response (dB) of one biquad at the given frequencies
+    static biquadResponse(filter, frequencies, sampleRate) {
+        const [b0, b1, b2, a0, a1, a2] = DSP.biquadCoefficients(filter, sampleRate);
+        
+        return frequencies.map(freq => {
+            const w = 2 * Math.PI * freq / sampleRate;
+            const cos1 = Math.cos(w), sin1 = Math.sin(w);
+            const cos2 = Math.cos(2 * w), sin2 = Math.sin(2 * w);
+            const numRe = b0 + b1 * cos1 + b2 * cos2;
+            const numIm = -(b1 * sin1 + b2 * sin2);
+            const denRe = a0 + a1 * cos1 + a2 * cos2;
+            const denIm = -(a1 * sin1 + a2 * sin2);
+            const power = (numRe * numRe + numIm * numIm) / (denRe * denRe + denIm * denIm);
+            return 10 * Math.log10(Math.max(power, 1e-20));
+        });
+    }
+    
+    // Gains for a fixed set of bands ({ type, frequency, Q }) whose summed response best
+    // matches desired (dB) in the least-squares sense, within [minGain, maxGain].
+    // Gauss-Newton steps, each solved by projected coordinate descent on the normal equations.
+    static solveBandGains(frequencies, desired, bands, options = {}) {
+        const {
+            sampleRate = 48000,
+            minGain = -12,
+            maxGain = 12,
+            iterations = 10,
+            regularization = 0.01
+        } = options;
+        
+        const clamp = (gain) => Math.max(minGain, Math.min(maxGain, gain));
+        const response = (i, gain) => DSP.biquadResponse({ ...bands[i], gain }, frequencies, sampleRate);
+        const dot = (a, b) => a.reduce((sum, value, j) => sum + value * b[j], 0);
+        
+        // Start from the desired correction at each band centre
+        let gains = DSP.interpolateLog(frequencies, desired, bands.map(band => band.frequency)).map(clamp);
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const responses = gains.map((gain, i) => response(i, gain));
+            const residual = frequencies.map((_, j) =>
+                desired[j] - responses.reduce((sum, bandResponse) => sum + bandResponse[j], 0));
+                
+            // dB change at every grid point per dB of band gain
+            const jacobian = gains.map((gain, i) => {
+                const up = response(i, gain + 0.5);
+                const down = response(i, gain - 0.5);
+                return up.map((value, j) => value - down[j]);
+            });
+            
+            const normal = jacobian.map((column, i) =>
+                jacobian.map((other, k) => dot(column, other) + (i === k ? regularization : 0)));
+            const rhs = jacobian.map(column => dot(column, residual));
+            
+            // Keep every gain + step inside the range while solving
+            const step = gains.map(() => 0);
+            for (let sweep = 0; sweep < 100; sweep++) {
+                let change = 0;
+                for (let i = 0; i < step.length; i++) {
+                    let sum = rhs[i];
+                    for (let k = 0; k < step.length; k++) {
+                        if (k !== i) sum -= normal[i][k] * step[k];
+                    }
+                    const value = clamp(gains[i] + sum / normal[i][i]) - gains[i];
+                    change = Math.max(change, Math.abs(value - step[i]));
+                    step[i] = value;
+                }
+                if (change < 1e-4) break;
+            }
+            
+            gains = gains.map((gain, i) => gain + step[i]);
+            if (Math.max(...step.map(Math.abs)) < 0.01) break;
+        }
+        
+        return gains;
+    }
+    
+    // Refine frequency, gain and Q of the filters so their summed response matches
+    // target (dB) in the least-squares sense. Coordinate descent with shrinking steps;
+    // pass and notch filters are kept as they are and shelves have no Q to adjust.
+    static fitFilters(frequencies, target, filters, options = {}) {
+        const {
+            sampleRate = 48000,
+            minFreq = 20,
+            maxFreq = 20000,
+            maxGain = 12,
+            minGain = -12,
+            minQ = 0.1,
+            maxQ = 10,
+            iterations = 200
+        } = options;
+        
+        const fitted = filters.map(filter => ({ ...filter }));
+        const responses = fitted.map(filter => DSP.biquadResponse(filter, frequencies, sampleRate));
+        const total = frequencies.map((_, i) => responses.reduce((sum, response) => sum + response[i], 0));
+        
+        const errorWith = (k, response) => {
+            let sum = 0;
+            for (let i = 0; i < frequencies.length; i++) {
+                const diff = target[i] - (total[i] - responses[k][i] + response[i]);
+                sum += diff * diff;
+            }
+            return sum;
+        };
+        
+        // Multiplicative steps for frequency and Q, additive for gain
+        const params = [];
+        fitted.forEach((filter, k) => {
+            if (!['peaking', 'lowshelf', 'highshelf'].includes(filter.type)) return;
+            params.push({ k, name: 'frequency', step: Math.pow(2, 1/3), min: minFreq, max: maxFreq, minStep: 1.001 });
+            params.push({ k, name: 'gain', step: 2, min: minGain, max: maxGain, minStep: 0.05 });
+            if (filter.type === 'peaking') {
+                params.push({ k, name: 'Q', step: 1.5, min: minQ, max: maxQ, minStep: 1.001 });
+            }
+        });
+        
+        let error = fitted.length > 0 ? errorWith(0, responses[0]) : 0;
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            let active = false;
+            
+            for (const param of params) {
+                if (param.step < param.minStep) continue;
+                active = true;
+                
+                const filter = fitted[param.k];
+                const value = filter[param.name];
+                const candidates = param.name === 'gain'
+                    ? [value + param.step, value - param.step]
+                    : [value * param.step, value / param.step];
+                    
+                let improved = false;
+                for (const candidate of candidates) {
+                    const clamped = Math.max(param.min, Math.min(param.max, candidate));
+                    if (clamped === value) continue;
+                    
+                    const trial = { ...filter, [param.name]: clamped };
+                    const response = DSP.biquadResponse(trial, frequencies, sampleRate);
+                    const trialError = errorWith(param.k, response);
+                    if (trialError < error) {
+                        for (let i = 0; i < total.length; i++) {
+                            total[i] += response[i] - responses[param.k][i];
+                        }
+                        responses[param.k] = response;
+                        fitted[param.k] = trial;
+                        error = trialError;
+                        improved = true;
+                        break;
+                    }
+                }
+                
+                if (!improved) {
+                    param.step = param.name === 'gain' ? param.step / 2 : Math.sqrt(param.step);
+                }
+            }
+            
+            if (!active) break;
+        }
+        
+        return fitted;
+    }
+    
+    // Parametric correction for target (dB): a low and high shelf when shelves is set, then
+    // up to count peaking filters placed one at a time on the largest remaining error,
+    // and finally the whole set refined together
+    static fitParametric(frequencies, target, options = {}) {
+        const {
+            count = 8,
+            shelves = true,
+            sampleRate = 48000,
+            minQ = 0.5,
+            maxQ = 6,
+            minGain = -12,
+            maxGain = 12
+        } = options;
+        
+        const fitOptions = {
+            sampleRate, minQ, maxQ, minGain, maxGain,
+            minFreq: frequencies[0],
+            maxFreq: frequencies[frequencies.length - 1]
+        };
+        const clampGain = (gain) => Math.max(minGain, Math.min(maxGain, gain));
+        const residual = [...target];
+        const filters = [];
+        
+        // Each new filter is tuned against what the earlier ones left over
+        const add = (filter) => {
+            const [fitted] = DSP.fitFilters(frequencies, residual, [filter], { ...fitOptions, iterations: 50 });
+            DSP.biquadResponse(fitted, frequencies, sampleRate).forEach((db, i) => {
+                residual[i] -= db;
+            });
+            filters.push(fitted);
+        };
+        
+        if (shelves) {
+            const average = (low, high) => {
+                const values = target.filter((_, i) => frequencies[i] >= low && frequencies[i] <= high);
+                return values.length > 0 ? values.reduce((sum, db) => sum + db, 0) / values.length : 0;
+            };
+            add({ type: 'lowshelf', frequency: 120, gain: clampGain(average(0, 80)), Q: Math.SQRT1_2 });
+            add({ type: 'highshelf', frequency: 6000, gain: clampGain(average(8000, Infinity)), Q: Math.SQRT1_2 });
+        }
+        
+        for (let k = 0; k < count; k++) {
+            let peak = 0;
+            residual.forEach((db, i) => {
+                if (Math.abs(db) > Math.abs(residual[peak])) peak = i;
+            });
+            // Nothing left worth a filter
+            if (Math.abs(residual[peak]) < 0.25) break;
+            
+            // Starting Q from where the error falls to half its peak
+            const half = Math.abs(residual[peak]) / 2;
+            const sign = Math.sign(residual[peak]);
+            let low = peak;
+            let high = peak;
+            while (low > 0 && residual[low - 1] * sign > half) low--;
+            while (high < residual.length - 1 && residual[high + 1] * sign > half) high++;
+            const ratio = Math.pow(2, Math.max(Math.log2(frequencies[high] / frequencies[low]), 1/12));
+            const Q = Math.max(minQ, Math.min(maxQ, Math.sqrt(ratio) / (ratio - 1)));
+            
+            add({ type: 'peaking', frequency: frequencies[peak], gain: clampGain(residual[peak]), Q });
+        }
+        
+        return DSP.fitFilters(frequencies, target, filters, fitOptions);
+    }
+    
+    // Symmetric window of the given length: 'hann', 'blackman' or 'rectangular'
+    static window(type, length) {
+        const values = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            const x = length > 1 ? 2 * Math.PI * i / (length - 1) : 0;
+            if (type === 'blackman') {
+                values[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+            } else if (type === 'rectangular') {
+                values[i] = 1;
+            } else {
+                values[i] = 0.5 - 0.5 * Math.cos(x);
+            }
+        }
+        return values;
+    }
+    
+    // FIR filter with the magnitude of correction (dB at frequencies, held beyond the ends)
+    // by frequency sampling. Linear phase is symmetric around its centre, which is also
+    // its latency; minimum phase comes from the folded real cepstrum and starts at once.
+    // Returns { impulse, latency } with the latency in samples.
+    static designFir(frequencies, correction, options = {}) {
+        const {
+            taps = 16384,
+            phase = 'linear',
+            window = 'hann',
+            sampleRate = 48000
+        } = options;
+        
+        // Finer grid than the filter length; the cepstrum needs more room against aliasing
+        const size = DSP.nextPowerOfTwo(taps) * (phase === 'minimum' ? 4 : 2);
+        const half = size / 2;
+        const binFrequencies = [];
+        for (let k = 0; k <= half; k++) {
+            binFrequencies.push(k * sampleRate / size);
+        }
+        const gains = DSP.interpolateLog(frequencies, correction, binFrequencies);
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        const impulse = new Float32Array(taps);
+        
+        if (phase === 'minimum') {
+            // Real cepstrum of the log magnitude
+            for (let k = 0; k <= half; k++) {
+                re[k] = gains[k] * Math.LN10 / 20;
+                if (k > 0 && k < half) re[size - k] = re[k];
+            }
+            DSP.fft(re, im, true);
+            
+            // Fold the anti-causal half onto the causal one
+            for (let n = 1; n < half; n++) {
+                re[n] *= 2;
+                re[size - n] = 0;
+            }
+            im.fill(0);
+            DSP.fft(re, im);
+            
+            for (let k = 0; k < size; k++) {
+                const magnitude = Math.exp(re[k]);
+                re[k] = magnitude * Math.cos(im[k]);
+                im[k] = magnitude * Math.sin(im[k]);
+            }
+            DSP.fft(re, im, true);
+            
+            // Only the decaying half of the window, the response starts at sample 0
+            const fade = DSP.window(window, 2 * taps - 1);
+            for (let i = 0; i < taps; i++) {
+                impulse[i] = re[i] * fade[taps - 1 + i];
+            }
+            return { impulse, latency: 0 };
+        }
+        
+        // Zero-phase magnitude delayed to the centre of the filter
+        const delay = (taps - 1) / 2;
+        for (let k = 0; k <= half; k++) {
+            const magnitude = Math.pow(10, gains[k] / 20);
+            const angle = -2 * Math.PI * k * delay / size;
+            re[k] = magnitude * Math.cos(angle);
+            im[k] = k === half ? 0 : magnitude * Math.sin(angle);
+            if (k > 0 && k < half) {
+                re[size - k] = re[k];
+                im[size - k] = -im[k];
+            }
+        }
+        DSP.fft(re, im, true);
+        
+        const shape = DSP.window(window, taps);
+        for (let i = 0; i < taps; i++) {
+            impulse[i] = re[i] * shape[i];
+        }
+        return { impulse, latency: delay };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,346 @@
+// File Format Helpers
+class FileFormats {
+    // Encode channels of float samples as a WAV file: 32-bit IEEE float, or 16-bit PCM
+    // with TPDF dither for players that only take CD-style files
+    static encodeWav(channels, sampleRate, bitDepth = 32) {
+        const numChannels = channels.length;
+        const length = channels[0].length;
+        const isFloat = bitDepth === 32;
+        const bytesPerSample = isFloat ? 4 : 2;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = length * blockAlign;
+        // Float needs the extended fmt chunk and a fact chunk
+        const headerSize = isFloat ? 58 : 44;
+        const buffer = new ArrayBuffer(headerSize + dataSize);
+        const view = new DataView(buffer);
+        
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+        
+        writeString(0, 'RIFF');
+        view.setUint32(4, headerSize - 8 + dataSize, true);
+        writeString(8, 'WAVE');
+        
+        // fmt chunk (WAVE_FORMAT_IEEE_FLOAT or WAVE_FORMAT_PCM)
+        writeString(12, 'fmt ');
+        view.setUint32(16, isFloat ? 18 : 16, true);
+        view.setUint16(20, isFloat ? 3 : 1, true);
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+        
+        if (isFloat) {
+            view.setUint16(36, 0, true);
+            
+            // fact chunk, required for non-PCM formats
+            writeString(38, 'fact');
+            view.setUint32(42, 4, true);
+            view.setUint32(46, length, true);
+        }
+        
+        writeString(headerSize - 8, 'data');
+        view.setUint32(headerSize - 4, dataSize, true);
+        
+        let offset = headerSize;
+        for (let i = 0; i < length; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                if (isFloat) {
+                    view.setFloat32(offset, channels[ch][i], true);
+                } else {
+                    // Triangular dither of +-1 LSB before rounding
+                    const dither = Math.random() - Math.random();
+                    const value = Math.round(channels[ch][i] * 32767 + dither);
+                    view.setInt16(offset, Math.max(-32768, Math.min(32767, value)), true);
+                }
+                offset += bytesPerSample;
+            }
+        }
+        
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+    
+    // Frequency response as FRD text (freq, dB, phase)
+    static formatFRD(frequencies, magnitude, phase = null) {
+        const lines = [
+            '* Car Audio EQ Pro frequency response',
+            `* ${new Date().toISOString()}`,
+            '* Freq(Hz) Magnitude(dB) Phase(degrees)'
+        ];
+        
+        frequencies.forEach((freq, i) => {
+            const phaseValue = phase ? phase[i] : 0;
+            lines.push(`${freq.toFixed(3)} ${magnitude[i].toFixed(3)} ${phaseValue.toFixed(3)}`);
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Frequency response in the text layout REW exports and imports
+    static formatREW(frequencies, magnitude, phase = null) {
+        const lines = [
+            '* Measurement data exported by Car Audio EQ Pro',
+            `* Dated: ${new Date().toString()}`,
+            '* Source: microphone measurement',
+            phase ? '* Freq(Hz) SPL(dB) Phase(degrees)' : '* Freq(Hz) SPL(dB)'
+        ];
+        
+        frequencies.forEach((freq, i) => {
+            const values = [freq.toFixed(3), magnitude[i].toFixed(3)];
+            if (phase) {
+                values.push(phase[i].toFixed(3));
+            }
+            lines.push(values.join(' '));
+        });
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Equalizer APO / AutoEQ filter codes for the Web Audio filter types we use
+    static get apoFilterTypes() {
+        return {
+            peaking: 'PK',
+            lowshelf: 'LSC',
+            highshelf: 'HSC',
+            lowpass: 'LPQ',
+            highpass: 'HPQ',
+            notch: 'NO'
+        };
+    }
+    
+    static formatNumber(value, decimals) {
+        // Fixed precision without trailing zeros, e.g. 31.5 or 4.318
+        return String(Number(value.toFixed(decimals)));
+    }
+    
+    // One "Filter N: ON PK Fc 1000 Hz Gain 3 dB Q 1.41" line
+    static formatApoFilter(filter, number) {
+        const parts = [
+            `Filter ${number}: ON ${this.apoFilterTypes[filter.type]}`,
+            `Fc ${this.formatNumber(filter.frequency, 2)} Hz`
+        ];
+        if (filter.type === 'peaking' || filter.type === 'lowshelf' || filter.type === 'highshelf') {
+            parts.push(`Gain ${this.formatNumber(filter.gain, 2)} dB`);
+        }
+        parts.push(`Q ${this.formatNumber(filter.Q, 3)}`);
+        return parts.join(' ');
+    }
+    
+    // Equalizer APO config; filtersByChannel maps APO channel names (L, R) to
+    // filter lists, 'all' writes a block without a Channel: line
+    static formatEqualizerAPO(filtersByChannel, preamp) {
+        const lines = [
+            '# Car Audio EQ Pro export',
+            `# ${new Date().toISOString()}`,
+            `Preamp: ${this.formatNumber(preamp, 2)} dB`
+        ];
+        
+        for (const [channel, filters] of Object.entries(filtersByChannel)) {
+            if (channel !== 'all') {
+                lines.push(`Channel: ${channel}`);
+            }
+            filters.forEach((filter, i) => lines.push(this.formatApoFilter(filter, i + 1)));
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // AutoEQ ParametricEQ.txt: a preamp line and numbered filters, no comments
+    static formatAutoEQParametric(filters, preamp) {
+        const lines = [`Preamp: ${this.formatNumber(preamp, 2)} dB`];
+        filters.forEach((filter, i) => lines.push(this.formatApoFilter(filter, i + 1)));
+        return lines.join('\n') + '\n';
+    }
+    
+    // AutoEQ / Wavelet GraphicEQ line: "GraphicEQ: 20 -1.2; 21 -1.1; ..."
+    static formatGraphicEQ(frequencies, gains) {
+        const points = frequencies.map((freq, i) => `${Math.round(freq)} ${this.formatNumber(gains[i], 1)}`);
+        return `GraphicEQ: ${points.join('; ')}\n`;
+    }
+    
+    // Generic filter table for DSP tuning software
+    static formatFilterCSV(filtersByChannel) {
+        const typeNames = {
+            peaking: 'Peaking',
+            lowshelf: 'Low Shelf',
+            highshelf: 'High Shelf',
+            lowpass: 'Low Pass',
+            highpass: 'High Pass',
+            notch: 'Notch'
+        };
+        const lines = ['Channel,Band,Type,Frequency (Hz),Gain (dB),Q'];
+        
+        for (const [channel, filters] of Object.entries(filtersByChannel)) {
+            filters.forEach((filter, i) => {
+                lines.push([
+                    channel,
+                    i + 1,
+                    typeNames[filter.type],
+                    this.formatNumber(filter.frequency, 2),
+                    this.formatNumber(filter.gain, 2),
+                    this.formatNumber(filter.Q, 3)
+                ].join(','));
+            });
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    // Equalizer APO config, AutoEQ ParametricEQ.txt or a GraphicEQ line. Anything that
+    // can't be reproduced is listed in unsupported rather than dropped silently.
+    static parseEqualizerAPO(text) {
+        const channelNames = { L: 'left', 1: 'left', R: 'right', 2: 'right' };
+        const result = {
+            preamp: 0,
+            filters: { left: [], right: [] },
+            graphic: { left: null, right: null },
+            unsupported: [],
+            warnings: []
+        };
+        let targets = ['left', 'right'];
+        
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*/, '').trim();
+            if (!line) return;
+            
+            const where = `Line ${index + 1}`;
+            const report = (reason) => result.unsupported.push(`${where}: ${reason} (${line})`);
+            const match = line.match(/^([A-Za-z]+)\s*\d*\s*:\s*(.*)$/);
+            if (!match) {
+                report('not an Equalizer APO command');
+                return;
+            }
+            
+            const command = match[1].toLowerCase();
+            const args = match[2].trim();
+            
+            if (command === 'preamp') {
+                // APO adds up repeated preamp lines
+                const gain = parseFloat(args);
+                if (isFinite(gain)) {
+                    result.preamp += gain;
+                } else {
+                    report('unreadable preamp');
+                }
+            } else if (command === 'channel') {
+                const names = args.split(/\s+/);
+                if (names.some(name => name.toLowerCase() === 'all')) {
+                    targets = ['left', 'right'];
+                } else {
+                    targets = [...new Set(names.map(name => channelNames[name.toUpperCase()]).filter(Boolean))];
+                    if (targets.length < names.length) {
+                        report('only the L and R channels are supported, filters for the others are skipped');
+                    }
+                }
+            } else if (command === 'filter') {
+                const filter = this.parseApoFilter(args);
+                if (filter === null) return; // switched OFF
+                if (typeof filter === 'string') {
+                    report(filter);
+                    return;
+                }
+                
+                // Plain LS/HS are placed by their centre frequency, not the corner
+                const shelfCode = args.match(/^ON\s+(LS|HS)\b/i);
+                if (shelfCode) {
+                    result.warnings.push(`${where}: ${shelfCode[1].toUpperCase()} shelf approximated with a corner frequency shelf at ${filter.frequency} Hz`);
+                }
+                
+                const isShelf = filter.type === 'lowshelf' || filter.type === 'highshelf';
+                if (isShelf && Math.abs(filter.Q / Math.SQRT1_2 - 1) > 0.05) {
+                    result.warnings.push(`${where}: shelf Q ${filter.Q} approximated with the fixed Q 0.707 slope`);
+                }
+                for (const channel of targets) {
+                    result.filters[channel].push({ ...filter });
+                }
+            } else if (command === 'graphiceq') {
+                const points = args.split(';')
+                    .map(pair => pair.trim().split(/\s+/).map(Number))
+                    .filter(([freq, db]) => freq > 0 && isFinite(freq) && isFinite(db));
+                if (points.length < 2) {
+                    report('GraphicEQ needs at least two frequency/gain pairs');
+                    return;
+                }
+                points.sort((a, b) => a[0] - b[0]);
+                for (const channel of targets) {
+                    result.graphic[channel] = points;
+                }
+            } else {
+                report(`${match[1]} is not supported`);
+            }
+        });
+        
+        const hasEQ = ['left', 'right'].some(channel =>
+            result.filters[channel].length > 0 || result.graphic[channel] !== null);
+        if (!hasEQ) {
+            throw new Error('No EQ filters found in file');
+        }
+        
+        return result;
+    }
+    
+    // "ON PK Fc 1000 Hz Gain 3 dB Q 1.41"; null for a filter switched OFF,
+    // the reason as a string when it can't be reproduced
+    static parseApoFilter(args) {
+        // LS/HS are treated like their corner frequency variants, the caller warns about it
+        const types = {
+            PK: 'peaking',
+            PEQ: 'peaking',
+            LS: 'lowshelf',
+            LSC: 'lowshelf',
+            HS: 'highshelf',
+            HSC: 'highshelf',
+            LP: 'lowpass',
+            LPQ: 'lowpass',
+            HP: 'highpass',
+            HPQ: 'highpass',
+            NO: 'notch'
+        };
+        
+        const match = args.match(/^(ON|OFF)\s+([A-Za-z]+)(.*)$/i);
+        if (!match) return 'unreadable filter';
+        if (match[1].toUpperCase() === 'OFF') return null;
+        
+        const code = match[2].toUpperCase();
+        const params = match[3];
+        if (!types[code]) {
+            return `filter type ${code} is not supported`;
+        }
+        if (/^\s*\d+(\.\d+)?\s*dB\b/i.test(params)) {
+            return `${code} with a fixed dB/oct slope is not supported`;
+        }
+        
+        const number = (pattern) => {
+            const found = params.match(pattern);
+            return found ? parseFloat(found[1]) : null;
+        };
+        const type = types[code];
+        const frequency = number(/\bFc\s+(\d+(?:\.\d+)?)/i);
+        const gain = number(/\bGain\s+(-?\d+(?:\.\d+)?)/i);
+        let Q = number(/\bQ\s+(\d+(?:\.\d+)?)/i);
+        
+        if (!(frequency > 0)) {
+            return `${code} filter without a valid Fc`;
+        }
+        if (gain === null && (type === 'peaking' || type === 'lowshelf' || type === 'highshelf')) {
+            return `${code} filter without a gain`;
+        }
+        
+        // Bandwidth in octaves converts to Q
+        const bandwidth = number(/\bBW\s+Oct\s+(\d+(?:\.\d+)?)/i);
+        if (Q === null && bandwidth > 0) {
+            Q = Math.sqrt(Math.pow(2, bandwidth)) / (Math.pow(2, bandwidth) - 1);
+        }
+        
+        return {
+            type: type,
+            frequency: frequency,
+            gain: gain || 0,
+            Q: Q > 0 ? Q : Math.SQRT1_2
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,141 @@
+// Playlist Queue
+class Playlist {
+    constructor() {
+        this.tracks = [];   // { file, name }
+        this.order = [];    // playback order as indices into tracks
+        this.position = -1; // index into order
+        this.shuffle = false;
+        this.repeat = 'off'; // 'off', 'all' or 'one'
+    }
+    
+    add(files) {
+        const start = this.tracks.length;
+        for (const file of files) {
+            this.tracks.push({
+                file: file,
+                name: file.name.replace(/\.[^/.]+$/, '')
+            });
+        }
+        
+        const added = [];
+        for (let i = start; i < this.tracks.length; i++) {
+            added.push(i);
+        }
+        
+        if (this.shuffle) {
+            this.shuffleIndices(added);
+        }
+        this.order.push(...added);
+        
+        if (this.position === -1 && this.order.length > 0) {
+            this.position = 0;
+        }
+        
+        return added.length;
+    }
+    
+    remove(trackIndex) {
+        const removedPosition = this.order.indexOf(trackIndex);
+        this.tracks.splice(trackIndex, 1);
+        this.order = this.order
+            .filter(index => index !== trackIndex)
+            .map(index => index > trackIndex ? index - 1 : index);
+            
+        if (removedPosition < this.position || this.position >= this.order.length) {
+            this.position--;
+        }
+        if (this.position === -1 && this.order.length > 0) {
+            this.position = 0;
+        }
+    }
+    
+    clear() {
+        this.tracks = [];
+        this.order = [];
+        this.position = -1;
+    }
+    
+    get length() {
+        return this.tracks.length;
+    }
+    
+    current() {
+        return this.position >= 0 ? this.tracks[this.order[this.position]] : null;
+    }
+    
+    currentIndex() {
+        return this.position >= 0 ? this.order[this.position] : -1;
+    }
+    
+    // Position that follows the current one, or -1 at the end of the queue
+    nextPosition(auto = false) {
+        if (this.order.length === 0) return -1;
+        if (auto && this.repeat === 'one') return this.position;
+        if (this.position + 1 < this.order.length) return this.position + 1;
+        return this.repeat === 'all' ? 0 : -1;
+    }
+    
+    peekNext(auto = false) {
+        const position = this.nextPosition(auto);
+        return position === -1 ? null : this.tracks[this.order[position]];
+    }
+    
+    next(auto = false) {
+        const position = this.nextPosition(auto);
+        if (position === -1) return null;
+        
+        this.position = position;
+        return this.current();
+    }
+    
+    previous() {
+        if (this.order.length === 0) return null;
+        
+        if (this.position > 0) {
+            this.position--;
+        } else if (this.repeat === 'all') {
+            this.position = this.order.length - 1;
+        }
+        return this.current();
+    }
+    
+    jumpTo(trackIndex) {
+        const position = this.order.indexOf(trackIndex);
+        if (position !== -1) {
+            this.position = position;
+        }
+        return this.current();
+    }
+    
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        const current = this.currentIndex();
+        const all = this.tracks.map((_, i) => i);
+        
+        if (!enabled) {
+            this.order = all;
+            this.position = current;
+            return;
+        }
+        
+        // Keep the current track playing and shuffle everything else
+        const rest = this.shuffleIndices(all.filter(i => i !== current));
+        this.order = current === -1 ? rest : [current, ...rest];
+        this.position = this.order.length > 0 ? 0 : -1;
+    }
+    
+    cycleRepeat() {
+        const modes = ['off', 'all', 'one'];
+        this.repeat = modes[(modes.indexOf(this.repeat) + 1) % modes.length];
+        return this.repeat;
+    }
+    
+    shuffleIndices(indices) {
+        // Fisher-Yates
+        for (let i = indices.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return indices;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+// Recorder Worklet - streams raw input samples back to the main thread
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = true;
+        
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') {
+                this.recording = false;
+            }
+        };
+    }
+    
+    process(inputs) {
+        const input = inputs[0];
+        
+        // Copy each channel, the engine reuses its buffers between calls
+        if (this.recording && input.length > 0) {
+            this.port.postMessage(input.map(channel => channel.slice(0)));
+        }
+        
+        return this.recording;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Log-Frequency Response Graph
+class ResponseGraph {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.minFreq = options.minFreq || 20;
+        this.maxFreq = options.maxFreq || 20000;
+        this.minDb = options.minDb !== undefined ? options.minDb : -15;
+        this.maxDb = options.maxDb !== undefined ? options.maxDb : 15;
+        this.width = 0;
+        this.height = 0;
+        
+        this.resize();
+    }
+    
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.width = rect.width;
+        this.height = rect.height;
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+    }
+    
+    setDbRange(minDb, maxDb) {
+        this.minDb = minDb;
+        this.maxDb = maxDb;
+    }
+    
+    frequencyToX(freq) {
+        return Math.log(freq / this.minFreq) / Math.log(this.maxFreq / this.minFreq) * this.width;
+    }
+    
+    xToFrequency(x) {
+        return this.minFreq * Math.pow(this.maxFreq / this.minFreq, x / this.width);
+    }
+    
+    dbToY(db) {
+        return (this.maxDb - db) / (this.maxDb - this.minDb) * this.height;
+    }
+    
+    yToDb(y) {
+        return this.maxDb - y / this.height * (this.maxDb - this.minDb);
+    }
+    
+    clear() {
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+    
+    drawGrid() {
+        this.drawFrequencyGrid();
+        this.drawLevelGrid();
+    }
+    
+    drawFrequencyGrid() {
+        const ctx = this.ctx;
+        ctx.lineWidth = 1;
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = '#666666';
+        
+        // Decades plus 2x/5x lines
+        ctx.textAlign = 'center';
+        for (const decade of [10, 100, 1000, 10000]) {
+            for (const multiple of [1, 2, 5]) {
+                const freq = decade * multiple;
+                if (freq < this.minFreq || freq > this.maxFreq) continue;
+                
+                const x = Math.round(this.frequencyToX(freq)) + 0.5;
+                ctx.strokeStyle = multiple === 1 ? '#333333' : '#1f1f1f';
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, this.height);
+                ctx.stroke();
+                
+                ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x, this.height - 4);
+            }
+        }
+    }
+    
+    drawLevelGrid() {
+        const ctx = this.ctx;
+        ctx.lineWidth = 1;
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.fillStyle = '#666666';
+        
+        // Pick a step that gives roughly six lines
+        const range = this.maxDb - this.minDb;
+        const step = [1, 2, 3, 5, 6, 10, 20].find(s => range / s <= 8) || 20;
+        ctx.textAlign = 'left';
+        for (let db = Math.ceil(this.minDb / step) * step; db <= this.maxDb; db += step) {
+            const y = Math.round(this.dbToY(db)) + 0.5;
+            ctx.strokeStyle = db === 0 ? '#444444' : '#1f1f1f';
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.width, y);
+            ctx.stroke();
+            
+            ctx.fillText(`${db > 0 ? '+' : ''}${db}`, 4, y - 2);
+        }
+    }
+    
+    drawCurve(frequencies, values, color, lineWidth = 2, dashed = false) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.setLineDash(dashed ? [4, 4] : []);
+        ctx.beginPath();
+        
+        let started = false;
+        frequencies.forEach((freq, i) => {
+            if (values[i] === null || !isFinite(values[i])) {
+                started = false;
+                return;
+            }
+            const x = this.frequencyToX(freq);
+            const y = this.dbToY(values[i]);
+            if (started) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                started = true;
+            }
+        });
+        
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    drawPoints(points, color, selectedIndex = -1) {
+        const ctx = this.ctx;
+        points.forEach(([freq, db], i) => {
+            ctx.fillStyle = i === selectedIndex ? '#ffffff' : color;
+            ctx.beginPath();
+            ctx.arc(this.frequencyToX(freq), this.dbToY(db), 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+    
+    drawLegend(entries) {
+        const ctx = this.ctx;
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'right';
+        
+        entries.forEach(([label, color], i) => {
+            ctx.fillStyle = color;
+            ctx.fillText(label, this.width - 6, 12 + i * 12);
+        });
+    }
+}
\ No newline at end of file
@@ -5,14 +5,46 @@ class SpectrumAnalyzer {
         this.ctx = canvas.getContext('2d');
         this.analyser = analyser;
         this.animationId = null;
-        this.mode = 'spectrum'; // 'spectrum' or 'rta'
+        this.mode = 'spectrum'; // 'spectrum', 'rta', 'spectrogram' or 'waterfall'
         this.batterySaver = false;
         this.frameSkip = 0;
         
+        // Spectrum view: log-frequency trace on a labeled grid, optionally smoothed
+        this.graph = new ResponseGraph(canvas, { minDb: -90, maxDb: 0 });
+        this.smoothing = null; // '1/3', '1/6', '1/12' or null for the raw bins
+        this.trace = null; // { frequencies, levels } last drawn, for the cursor readout
+        this.cursorX = null;
+        
         // Set canvas size
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
         
+        // Cursor readout follows the mouse, or the finger while touching
+        this.canvas.addEventListener('pointermove', (e) => this.setCursor(e));
+        this.canvas.addEventListener('pointerdown', (e) => this.setCursor(e));
+        this.canvas.addEventListener('pointerleave', () => this.clearCursor());
+        this.canvas.addEventListener('pointercancel', () => this.clearCursor());
+        
+        // Spectrogram and waterfall: a fixed number of log-frequency rows spread over
+        // the history length, each holding the loudest level seen since the previous row.
+        // Rows carry their time so gaps (a background tab) stay gaps instead of closing up.
+        this.historyLengths = [5, 10, 30, 60]; // seconds
+        this.historyLength = 10;
+        this.historyRows = 240;
+        this.historyPoints = 256;
+        this.history = []; // { time (ms), levels (Float32Array, dB) }, oldest first
+        this.pendingRow = null;
+        this.lastRowTime = 0;
+        this.waterfallTraces = 40;
+        this.spectrogramImage = null; // offscreen canvas, redrawn when a row is added
+        this.spectrogramDirty = true;
+        this.colorScales = {
+            heat: ['#000000', '#2c0b6b', '#b51f5c', '#f7731b', '#fcffa4'],
+            green: ['#000000', '#0b3d1f', '#1db954', '#ffa116', '#e22134'],
+            gray: ['#000000', '#ffffff']
+        };
+        this.setColorScale('heat');
+        
         // RTA (Real-Time Analyzer) settings
         this.rtaBands = 31; // Match EQ bands
         this.rtaData = new Float32Array(this.rtaBands);
@@ -29,10 +61,7 @@ class SpectrumAnalyzer {
     }
     
     resizeCanvas() {
-        const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width * window.devicePixelRatio;
-        this.canvas.height = rect.height * window.devicePixelRatio;
-        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.graph.resize();
         this.createGradient();
     }
     
@@ -65,6 +94,74 @@ class SpectrumAnalyzer {
         this.batterySaver = enabled;
     }
     
+    setDbRange(minDb, maxDb) {
+        if (!(minDb < maxDb)) {
+            throw new Error('The lower level must be below the upper level');
+        }
+        this.graph.setDbRange(minDb, maxDb);
+        this.spectrogramDirty = true;
+    }
+    
+    setSmoothing(smoothing) {
+        this.smoothing = smoothing || null;
+    }
+    
+    // Rows are spaced by the history length, so changing it starts a new history
+    setHistoryLength(seconds) {
+        if (!this.historyLengths.includes(seconds)) {
+            throw new Error(`Unsupported history length: ${seconds} s`);
+        }
+        this.historyLength = seconds;
+        this.clearHistory();
+    }
+    
+    clearHistory() {
+        this.history = [];
+        this.pendingRow = null;
+        this.spectrogramDirty = true;
+    }
+    
+    setColorScale(name) {
+        const stops = this.colorScales[name];
+        if (!stops) {
+            throw new Error(`Unknown colour scale: ${name}`);
+        }
+        this.colorScale = name;
+        
+        // 256-entry RGB lookup table, interpolated between evenly spaced stops
+        const rgb = stops.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+        this.colorTable = new Uint8ClampedArray(256 * 3);
+        for (let i = 0; i < 256; i++) {
+            const position = i / 255 * (rgb.length - 1);
+            const index = Math.min(Math.floor(position), rgb.length - 2);
+            const t = position - index;
+            for (let c = 0; c < 3; c++) {
+                this.colorTable[i * 3 + c] = rgb[index][c] + (rgb[index + 1][c] - rgb[index][c]) * t;
+            }
+        }
+        this.spectrogramDirty = true;
+    }
+    
+    // Colour table index of a level within the dB range
+    colorIndex(db) {
+        const { minDb, maxDb } = this.graph;
+        return Math.round(Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb))) * 255);
+    }
+    
+    colorOf(db) {
+        const i = this.colorIndex(db) * 3;
+        return `rgb(${this.colorTable[i]}, ${this.colorTable[i + 1]}, ${this.colorTable[i + 2]})`;
+    }
+    
+    setCursor(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.cursorX = event.clientX - rect.left;
+    }
+    
+    clearCursor() {
+        this.cursorX = null;
+    }
+    
     draw() {
         // Battery saver mode - skip frames
         if (this.batterySaver) {
@@ -76,8 +173,17 @@ class SpectrumAnalyzer {
             this.frameSkip = 0;
         }
         
+        // One read per frame, shared by whichever view is drawn
+        this.analyser.getFloatFrequencyData(this.dataArray);
+        
         if (this.mode === 'spectrum') {
             this.drawSpectrum();
+        } else if (this.mode === 'spectrogram') {
+            this.updateHistory();
+            this.drawSpectrogram();
+        } else if (this.mode === 'waterfall') {
+            this.updateHistory();
+            this.drawWaterfall();
         } else {
             this.drawRTA();
         }
@@ -86,40 +192,280 @@ class SpectrumAnalyzer {
     }
     
     drawSpectrum() {
-        this.analyser.getFloatFrequencyData(this.dataArray);
+        const graph = this.graph;
+        const ctx = this.ctx;
+        // One point every two pixels
+        this.trace = this.computeTrace(Math.max(2, Math.floor(graph.width / 2)));
+        const { frequencies, levels } = this.trace;
         
-        const width = this.canvas.width / window.devicePixelRatio;
-        const height = this.canvas.height / window.devicePixelRatio;
+        graph.clear();
+        graph.drawGrid();
         
-        // Clear canvas
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(0, 0, width, height);
+        // Translucent fill under the trace, then the trace itself
+        ctx.beginPath();
+        ctx.moveTo(0, graph.height);
+        frequencies.forEach((freq, i) => {
+            ctx.lineTo(graph.frequencyToX(freq), graph.dbToY(Math.max(levels[i], graph.minDb)));
+        });
+        ctx.lineTo(graph.width, graph.height);
+        ctx.closePath();
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = this.gradient;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        
+        graph.drawCurve(frequencies, levels.map(db => Math.max(db, graph.minDb)), this.gradient, 1.5);
+        this.drawCursor();
+    }
+    
+    // Levels at log-spaced points over the frequency axis. Raw, each point shows the loudest
+    // bin under it; smoothed, the power average of the bins within the fractional-octave
+    // window. Where bins are further apart than the points (the bass) the level is interpolated.
+    computeTrace(points) {
+        const graph = this.graph;
+        const data = this.dataArray;
+        const binWidth = this.analyser.context.sampleRate / this.analyser.fftSize;
+        const octaveFraction = { '1/3': 1/3, '1/6': 1/6, '1/12': 1/12 }[this.smoothing] || null;
+        
+        // Silent bins read as -Infinity; the data is left as read for the other views
+        const binLevel = (bin) => data[bin] > -200 ? data[bin] : -200;
+        
+        // Cumulative power, so every smoothing window averages in constant time
+        let powerSums = null;
+        if (octaveFraction) {
+            powerSums = new Float64Array(data.length + 1);
+            for (let i = 0; i < data.length; i++) {
+                powerSums[i + 1] = powerSums[i] + Math.pow(10, binLevel(i) / 10);
+            }
+        }
         
-        const barWidth = width / this.bufferLength * 2.5;
-        let barHeight;
-        let x = 0;
+        const ratio = Math.pow(graph.maxFreq / graph.minFreq, 1 / (points - 1));
+        const frequencies = new Array(points);
+        const levels = new Array(points);
         
-        for (let i = 0; i < this.bufferLength; i++) {
-            // Convert dB to height (range: -100dB to 0dB)
-            const db = this.dataArray[i];
-            const normalizedValue = (db + 100) / 100;
-            barHeight = normalizedValue * height;
+        for (let i = 0; i < points; i++) {
+            const freq = graph.minFreq * Math.pow(ratio, i);
+            const lower = octaveFraction ? freq * Math.pow(2, -octaveFraction / 2) : freq / Math.sqrt(ratio);
+            const upper = octaveFraction ? freq * Math.pow(2, octaveFraction / 2) : freq * Math.sqrt(ratio);
+            const first = Math.max(1, Math.ceil(lower / binWidth));
+            const last = Math.min(data.length - 1, Math.floor(upper / binWidth));
             
-            // Apply gradient
-            this.ctx.fillStyle = this.gradient;
-            this.ctx.fillRect(x, height - barHeight, barWidth, barHeight);
+            let level;
+            if (last >= first) {
+                if (octaveFraction) {
+                    level = 10 * Math.log10((powerSums[last + 1] - powerSums[first]) / (last - first + 1));
+                } else {
+                    level = -Infinity;
+                    for (let bin = first; bin <= last; bin++) {
+                        level = Math.max(level, binLevel(bin));
+                    }
+                }
+            } else {
+                const position = Math.min(freq / binWidth, data.length - 1);
+                const below = Math.floor(position);
+                const above = Math.min(below + 1, data.length - 1);
+                level = binLevel(below) + (binLevel(above) - binLevel(below)) * (position - below);
+            }
+            
+            frequencies[i] = freq;
+            levels[i] = level;
+        }
+        
+        return { frequencies, levels };
+    }
+    
+    drawCursor() {
+        if (this.cursorX === null || !this.trace) return;
+        
+        const graph = this.graph;
+        const ctx = this.ctx;
+        const x = Math.max(0, Math.min(graph.width, this.cursorX));
+        const { frequencies, levels } = this.trace;
+        const index = Math.round(x / graph.width * (levels.length - 1));
+        const freq = frequencies[index];
+        const level = levels[index];
+        
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(Math.round(x) + 0.5, 0);
+        ctx.lineTo(Math.round(x) + 0.5, graph.height);
+        ctx.stroke();
+        
+        if (level >= graph.minDb) {
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(x, graph.dbToY(level), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        // Label on whichever side of the cursor has room
+        const freqLabel = freq >= 1000 ? `${(freq / 1000).toFixed(2)} kHz` : `${Math.round(freq)} Hz`;
+        const levelLabel = level > -200 ? `${level.toFixed(1)} dB` : 'silent';
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = x < graph.width / 2 ? 'left' : 'right';
+        ctx.fillText(`${freqLabel}  ${levelLabel}`, x < graph.width / 2 ? x + 6 : x - 6, 24);
+    }
+    
+    historyRowInterval() {
+        return this.historyLength * 1000 / this.historyRows;
+    }
+    
+    updateHistory() {
+        const { levels } = this.computeTrace(this.historyPoints);
+        const now = performance.now();
+        const interval = this.historyRowInterval();
+        
+        // After a gap in drawing the held peaks belong to the time before it
+        if (now - this.lastRowTime >= 2 * interval) {
+            this.pendingRow = null;
+        }
+        
+        // Hold the peaks between rows so short events are not lost on long histories
+        if (this.pendingRow) {
+            levels.forEach((db, i) => {
+                this.pendingRow[i] = Math.max(this.pendingRow[i], db);
+            });
+        } else {
+            this.pendingRow = Float32Array.from(levels);
+        }
+        
+        if (now - this.lastRowTime >= interval) {
+            this.history.push({ time: now, levels: this.pendingRow });
+            this.pendingRow = null;
+            this.lastRowTime = now;
+            this.spectrogramDirty = true;
+        }
+        
+        while (this.history.length > this.historyRows
+            || (this.history.length > 0 && now - this.history[0].time >= this.historyLength * 1000)) {
+            this.history.shift();
+            this.spectrogramDirty = true;
+        }
+    }
+    
+    // Time down, newest row at the top; frequency across on the same axis as the spectrum
+    drawSpectrogram() {
+        const graph = this.graph;
+        const ctx = this.ctx;
+        
+        if (this.spectrogramDirty) {
+            this.renderSpectrogramImage();
+        }
+        
+        graph.clear();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.spectrogramImage, 0, 0, graph.width, graph.height);
+        graph.drawFrequencyGrid();
+        
+        ctx.fillStyle = '#cccccc';
+        ctx.textAlign = 'right';
+        ctx.fillText('now', graph.width - 4, 12);
+        ctx.fillText(`-${this.historyLength} s`, graph.width - 4, graph.height - 16);
+    }
+    
+    renderSpectrogramImage() {
+        if (!this.spectrogramImage) {
+            this.spectrogramImage = document.createElement('canvas');
+            this.spectrogramImage.width = this.historyPoints;
+            this.spectrogramImage.height = this.historyRows;
+        }
+        
+        const context = this.spectrogramImage.getContext('2d');
+        const image = context.createImageData(this.historyPoints, this.historyRows);
+        const table = this.colorTable;
+        const interval = this.historyRowInterval();
+        
+        // Each row goes where its time puts it, counted back from the newest
+        for (const { time, levels } of this.history) {
+            const row = Math.round((this.lastRowTime - time) / interval);
+            if (row >= this.historyRows) continue;
+            for (let i = 0; i < this.historyPoints; i++) {
+                const pixel = (row * this.historyPoints + i) * 4;
+                const color = this.colorIndex(levels[i]) * 3;
+                image.data[pixel] = table[color];
+                image.data[pixel + 1] = table[color + 1];
+                image.data[pixel + 2] = table[color + 2];
+                image.data[pixel + 3] = 255;
+            }
+        }
+        
+        context.putImageData(image, 0, 0);
+        this.spectrogramDirty = false;
+    }
+    
+    // Stacked traces in perspective: the newest at the front, older ones further
+    // back and up, drawn back to front so nearer traces hide the ones behind
+    drawWaterfall() {
+        const graph = this.graph;
+        const ctx = this.ctx;
+        const width = graph.width;
+        const height = graph.height;
+        
+        graph.clear();
+        if (this.history.length === 0) return;
+        
+        const depthX = width * 0.2;
+        const depthY = height * 0.45;
+        const traceWidth = width - depthX;
+        const baseline = height - 14;
+        const amplitude = baseline - depthY;
+        const { minDb, maxDb } = graph;
+        
+        // Rows at evenly spaced times, oldest first; a time with no row near it (drawing
+        // was paused) is left empty
+        const spacing = this.historyLength * 1000 / (this.waterfallTraces - 1);
+        const tolerance = this.historyRowInterval();
+        let next = 0;
+        for (let k = this.waterfallTraces - 1; k >= 0; k--) {
+            const time = this.lastRowTime - k * spacing;
+            while (next < this.history.length - 1 && this.history[next + 1].time <= time) {
+                next++;
+            }
+            const nearest = [this.history[next], this.history[next + 1]]
+                .filter(row => row && Math.abs(row.time - time) <= tolerance)
+                .sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0];
+            if (!nearest) continue;
             
-            x += barWidth + 1;
+            const levels = nearest.levels;
+            const depth = k / (this.waterfallTraces - 1);
+            const offsetX = depth * depthX;
+            const rowBaseline = baseline - depth * depthY;
             
-            // Stop drawing when we run out of space
-            if (x > width) break;
+            ctx.beginPath();
+            ctx.moveTo(offsetX, rowBaseline);
+            levels.forEach((db, i) => {
+                const level = Math.max(minDb, Math.min(maxDb, db));
+                const x = offsetX + i / (levels.length - 1) * traceWidth;
+                ctx.lineTo(x, rowBaseline - (level - minDb) / (maxDb - minDb) * amplitude);
+            });
+            ctx.lineTo(offsetX + traceWidth, rowBaseline);
+            ctx.closePath();
+            ctx.fillStyle = '#000000';
+            ctx.fill();
+            
+            // Height is level, so a vertical gradient colours the trace by level; the
+            // bottom of the scale is lifted to keep quiet parts visible against the black
+            const gradient = ctx.createLinearGradient(0, rowBaseline, 0, rowBaseline - amplitude);
+            for (let j = 0; j <= 4; j++) {
+                gradient.addColorStop(j / 4, this.colorOf(minDb + (0.2 + 0.8 * j / 4) * (maxDb - minDb)));
+            }
+            ctx.strokeStyle = gradient;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+        
+        // Frequency labels along the front trace
+        ctx.fillStyle = '#666666';
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'center';
+        for (const freq of [50, 100, 200, 500, 1000, 2000, 5000, 10000]) {
+            const x = Math.log(freq / graph.minFreq) / Math.log(graph.maxFreq / graph.minFreq) * traceWidth;
+            ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x, height - 2);
         }
     }
     
     drawRTA() {
-        // Get frequency data
-        this.analyser.getFloatFrequencyData(this.dataArray);
-        
         const width = this.canvas.width / window.devicePixelRatio;
         const height = this.canvas.height / window.devicePixelRatio;
         
@@ -0,0 +1,134 @@
+// Target Curve Editor
+class TargetCurveEditor {
+    constructor(canvas, calibration, onChange) {
+        this.canvas = canvas;
+        this.calibration = calibration;
+        this.onChange = onChange;
+        this.graph = new ResponseGraph(canvas, { minDb: -12, maxDb: 15 });
+        this.target = calibration.createEmptyTarget();
+        this.selectedIndex = -1;
+        this.dragging = false;
+        
+        // Dense grid for drawing the evaluated curve
+        this.plotFrequencies = calibration.getLogFrequencies(24);
+        
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        window.addEventListener('resize', () => {
+            this.graph.resize();
+            this.draw();
+        });
+    }
+    
+    setTarget(target) {
+        this.target = JSON.parse(JSON.stringify(target));
+        this.selectedIndex = -1;
+        this.draw();
+    }
+    
+    getTarget() {
+        return JSON.parse(JSON.stringify(this.target));
+    }
+    
+    setShape(shape) {
+        // shape: { bassShelf: { gain, frequency }, trebleTilt: { slope, frequency } }
+        Object.assign(this.target.bassShelf, shape.bassShelf || {});
+        Object.assign(this.target.trebleTilt, shape.trebleTilt || {});
+        this.changed();
+    }
+    
+    resize() {
+        this.graph.resize();
+        this.draw();
+    }
+    
+    draw() {
+        const graph = this.graph;
+        graph.clear();
+        graph.drawGrid();
+        
+        const curve = this.calibration.evaluateTarget(this.target, this.plotFrequencies);
+        graph.drawCurve(this.plotFrequencies, curve, '#1db954', 2);
+        graph.drawPoints(this.target.points, '#ffa116', this.selectedIndex);
+    }
+    
+    changed() {
+        this.draw();
+        if (this.onChange) {
+            this.onChange(this.getTarget());
+        }
+    }
+    
+    getCanvasPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+    
+    hitTest(x, y) {
+        return this.target.points.findIndex(([freq, db]) => {
+            const dx = this.graph.frequencyToX(freq) - x;
+            const dy = this.graph.dbToY(db) - y;
+            return dx * dx + dy * dy <= 144;
+        });
+    }
+    
+    positionToPoint(x, y) {
+        const freq = Math.min(this.graph.maxFreq, Math.max(this.graph.minFreq, this.graph.xToFrequency(x)));
+        const db = Math.min(this.graph.maxDb, Math.max(this.graph.minDb, this.graph.yToDb(y)));
+        return [Math.round(freq * 10) / 10, Math.round(db * 10) / 10];
+    }
+    
+    handlePointerDown(event) {
+        const { x, y } = this.getCanvasPosition(event);
+        let index = this.hitTest(x, y);
+        
+        // Tapping empty space adds a new point there
+        if (index === -1) {
+            this.target.points.push(this.positionToPoint(x, y));
+            this.sortPoints();
+            index = this.hitTest(x, y);
+        }
+        
+        this.selectedIndex = index;
+        this.dragging = true;
+        this.canvas.setPointerCapture(event.pointerId);
+        this.changed();
+    }
+    
+    handlePointerMove(event) {
+        if (!this.dragging || this.selectedIndex === -1) return;
+        
+        const { x, y } = this.getCanvasPosition(event);
+        const point = this.positionToPoint(x, y);
+        this.target.points[this.selectedIndex] = point;
+        this.sortPoints(point);
+        this.changed();
+    }
+    
+    handlePointerUp(event) {
+        this.dragging = false;
+        if (this.canvas.hasPointerCapture(event.pointerId)) {
+            this.canvas.releasePointerCapture(event.pointerId);
+        }
+    }
+    
+    handleDoubleClick(event) {
+        const { x, y } = this.getCanvasPosition(event);
+        const index = this.hitTest(x, y);
+        if (index !== -1) {
+            this.target.points.splice(index, 1);
+            this.selectedIndex = -1;
+            this.changed();
+        }
+    }
+    
+    sortPoints(selected = null) {
+        this.target.points.sort((a, b) => a[0] - b[0]);
+        if (selected) {
+            this.selectedIndex = this.target.points.indexOf(selected);
+        }
+    }
+}
\ No newline at end of file
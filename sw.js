@@ -1,14 +1,20 @@
 // Service Worker for PWA functionality
-const CACHE_NAME = 'car-audio-eq-v1';
+const CACHE_NAME = 'car-audio-eq-v2';
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles.css',
     '/manifest.json',
     '/js/app.js',
+    '/js/dsp.js',
+    '/js/file-formats.js',
     '/js/audio-processor.js',
     '/js/spectrum-analyzer.js',
-    '/js/calibration.js'
+    '/js/response-graph.js',
+    '/js/calibration.js',
+    '/js/target-curve-editor.js',
+    '/js/playlist.js',
+    '/js/recorder-worklet.js'
 ];
 
 // Install event